@@ -0,0 +1,772 @@
+import { setImmediate } from 'timers';
+import { createElement } from '@lwc/engine-dom';
+import { CurrentPageReference } from 'lightning/navigation';
+import AssetDashboard from 'c/assetDashboard';
+import { downloadExportFile } from 'c/exportFile';
+import { subscribeToVersionTransitions, unsubscribeFromVersionTransitions } from 'c/versionTransitionEvents';
+import getAssetsByStatus from '@salesforce/apex/AssetDashboardController.getAssetsByStatus';
+import getAssetsByCriticality from '@salesforce/apex/AssetDashboardController.getAssetsByCriticality';
+import getAssetsByVersionStatus from '@salesforce/apex/AssetDashboardController.getAssetsByVersionStatus';
+import getAssetsByMaintenanceStatus from '@salesforce/apex/AssetDashboardController.getAssetsByMaintenanceStatus';
+import getAssetValueByCriticality from '@salesforce/apex/AssetDashboardController.getAssetValueByCriticality';
+import getDashboardMetrics from '@salesforce/apex/AssetDashboardController.getDashboardMetrics';
+import getMaintenanceStatusBySite from '@salesforce/apex/AssetDashboardController.getMaintenanceStatusBySite';
+import getAssetsByCondition from '@salesforce/apex/AssetDashboardController.getAssetsByCondition';
+import getTop10ExpensiveAssets from '@salesforce/apex/AssetDashboardController.getTop10ExpensiveAssets';
+import getAssetsNeedingMaintenance from '@salesforce/apex/AssetDashboardController.getAssetsNeedingMaintenance';
+import getAssetValueBySite from '@salesforce/apex/AssetDashboardController.getAssetValueBySite';
+import getSiteOptions from '@salesforce/apex/AssetDashboardController.getSiteOptions';
+import getFilterOptions from '@salesforce/apex/AssetDashboardController.getFilterOptions';
+import getTrendSeries from '@salesforce/apex/AssetDashboardController.getTrendSeries';
+import getDrillDownRecords from '@salesforce/apex/AssetDashboardController.getDrillDownRecords';
+import exportWidget from '@salesforce/apex/AssetDashboardController.exportWidget';
+import exportTrend from '@salesforce/apex/AssetDashboardController.exportTrend';
+import getViews from '@salesforce/apex/AssetDashboardViewController.getViews';
+import saveView from '@salesforce/apex/AssetDashboardViewController.saveView';
+import deleteView from '@salesforce/apex/AssetDashboardViewController.deleteView';
+
+// Records the navigation the dashboard does to keep its state in the URL
+const mockNavigate = jest.fn();
+const mockGenerateUrl = jest.fn();
+jest.mock('lightning/navigation', () => {
+    const { createTestWireAdapter } = require('@salesforce/wire-service-jest-util');
+    const Navigate = Symbol('Navigate');
+    const GenerateUrl = Symbol('GenerateUrl');
+    const NavigationMixin = (Base) => class extends Base {
+        [Navigate](pageReference, replace) {
+            mockNavigate(pageReference, replace);
+        }
+        [GenerateUrl](pageReference) {
+            return mockGenerateUrl(pageReference);
+        }
+    };
+    NavigationMixin.Navigate = Navigate;
+    NavigationMixin.GenerateUrl = GenerateUrl;
+    return { NavigationMixin, CurrentPageReference: createTestWireAdapter(jest.fn()) };
+});
+
+jest.mock('@salesforce/apex/AssetDashboardController.getAssetsByStatus', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AssetDashboardController.getAssetsByCriticality', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AssetDashboardController.getAssetsByVersionStatus', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AssetDashboardController.getAssetsByMaintenanceStatus', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AssetDashboardController.getAssetValueByCriticality', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AssetDashboardController.getDashboardMetrics', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AssetDashboardController.getMaintenanceStatusBySite', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AssetDashboardController.getAssetsByCondition', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AssetDashboardController.getTop10ExpensiveAssets', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AssetDashboardController.getAssetsNeedingMaintenance', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AssetDashboardController.getAssetValueBySite', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AssetDashboardController.getSiteOptions', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AssetDashboardController.getFilterOptions', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AssetDashboardController.getTrendSeries', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AssetDashboardController.getDrillDownRecords', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AssetDashboardController.exportWidget', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AssetDashboardController.exportTrend', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AssetDashboardViewController.getViews', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AssetDashboardViewController.saveView', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AssetDashboardViewController.deleteView', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('c/exportFile', () => ({
+    ...jest.requireActual('c/exportFile'),
+    downloadExportFile: jest.fn()
+}));
+jest.mock('c/versionTransitionEvents', () => ({
+    subscribeToVersionTransitions: jest.fn().mockResolvedValue({}),
+    unsubscribeFromVersionTransitions: jest.fn()
+}));
+
+const NORTH_PLANT_ID = '131000000000001';
+const SOUTH_PLANT_ID = '131000000000002';
+const TEMPLATE_ID = 'a0T000000000001';
+const OWNER_ID = '005000000000001';
+
+const FILTER_OPTIONS = {
+    criticalities: [{ label: 'High', value: 'High' }, { label: 'Not Set', value: 'Not Set' }],
+    statuses: [{ label: 'Installed', value: 'Installed' }, { label: 'Shipped', value: 'Shipped' }]
+};
+
+// FilterParams with nothing selected
+const NO_FILTERS = {
+    siteIds: [],
+    criticalities: [],
+    startDate: null,
+    endDate: null,
+    statuses: [],
+    assetTypes: [],
+    lifecycleStages: [],
+    conditions: [],
+    versionStatuses: [],
+    templateIds: [],
+    ownerIds: [],
+    costCenter: '',
+    minPurchaseCost: null,
+    maxPurchaseCost: null
+};
+
+const PAGE_REFERENCE = {
+    type: 'standard__navItemPage',
+    attributes: { apiName: 'Asset_Dashboard' },
+    state: {}
+};
+
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+async function createDashboard(state = {}) {
+    const element = createElement('c-asset-dashboard', { is: AssetDashboard });
+    document.body.appendChild(element);
+    CurrentPageReference.emit({ ...PAGE_REFERENCE, state });
+    await flushPromises();
+    return element;
+}
+
+// Filters passed to the latest call of a chart's Apex method
+function lastFilters(apexMethod) {
+    const calls = apexMethod.mock.calls;
+    return calls[calls.length - 1][0].filters;
+}
+
+function getChart(element, chartName) {
+    return element.shadowRoot.querySelector(`c-simple-chart[data-chart="${chartName}"]`);
+}
+
+async function clickChart(element, chartName, label, series) {
+    getChart(element, chartName).dispatchEvent(new CustomEvent('chartclick', { detail: { label, series } }));
+    await flushPromises();
+}
+
+function getCrumbs(element) {
+    return [...element.shadowRoot.querySelectorAll('lightning-pill')].map(pill => pill.label);
+}
+
+function findByName(element, name) {
+    return [...element.shadowRoot.querySelectorAll('lightning-dual-listbox, lightning-input')].find(
+        control => control.name === name
+    );
+}
+
+function findByLabel(element, selector, label) {
+    return [...element.shadowRoot.querySelectorAll(selector)].find(component => component.label === label);
+}
+
+function changeValue(control, value) {
+    control.dispatchEvent(new CustomEvent('change', { detail: { value } }));
+}
+
+function changeInputValue(input, value) {
+    input.value = value;
+    input.dispatchEvent(new CustomEvent('change', { detail: { value } }));
+}
+
+function pickRecord(element, label, recordId) {
+    findByLabel(element, 'lightning-record-picker', label).dispatchEvent(
+        new CustomEvent('change', { detail: { recordId } })
+    );
+}
+
+function getViewMenu(element) {
+    return [...element.shadowRoot.querySelectorAll('lightning-button-menu')].find(menu => menu.alternativeText === 'Saved Views');
+}
+
+async function selectViewMenuItem(element, value) {
+    getViewMenu(element).dispatchEvent(new CustomEvent('select', { detail: { value } }));
+    await flushPromises();
+}
+
+// URL state the dashboard navigated to last
+function lastUrlState() {
+    const calls = mockNavigate.mock.calls;
+    return calls[calls.length - 1][0].state;
+}
+
+function listenForToasts(element) {
+    const toasts = [];
+    element.addEventListener('lightning__showtoast', event => toasts.push(event.detail));
+    return toasts;
+}
+
+async function exportWidgetAs(element, widget, format) {
+    element.shadowRoot.querySelector(`lightning-button-menu[data-widget="${widget}"]`).dispatchEvent(
+        new CustomEvent('select', { detail: { value: format } })
+    );
+    await flushPromises();
+}
+
+function getButton(element, label) {
+    return [...element.shadowRoot.querySelectorAll('lightning-button')].find(button => button.label === label);
+}
+
+describe('c-asset-dashboard', () => {
+    beforeEach(() => {
+        getAssetsByStatus.mockResolvedValue({ Installed: 3 });
+        getAssetsByCriticality.mockResolvedValue({ High: 2, Low: 1 });
+        getAssetsByVersionStatus.mockResolvedValue({ Live: 3 });
+        getAssetsByMaintenanceStatus.mockResolvedValue({ Current: 2, Overdue: 1 });
+        getAssetValueByCriticality.mockResolvedValue({ High: 5000, Low: 1000 });
+        getDashboardMetrics.mockResolvedValue({
+            totalAssets: 3, activeAssets: 3, overdueAssets: 1, criticalAssets: 0, totalValue: 6000
+        });
+        getMaintenanceStatusBySite.mockResolvedValue({
+            'North Plant': { Current: 1, Overdue: 1 },
+            'South Plant': { Current: 1 }
+        });
+        getAssetsByCondition.mockResolvedValue({ Good: 2, Poor: 1 });
+        getTop10ExpensiveAssets.mockResolvedValue([]);
+        getAssetsNeedingMaintenance.mockResolvedValue([]);
+        getAssetValueBySite.mockResolvedValue({
+            'North Plant': { purchaseCost: 4000, currentValue: 3000 },
+            'South Plant': { purchaseCost: 2000, currentValue: 1500 }
+        });
+        getSiteOptions.mockResolvedValue([
+            { id: NORTH_PLANT_ID, name: 'North Plant' },
+            { id: SOUTH_PLANT_ID, name: 'South Plant' }
+        ]);
+        getFilterOptions.mockResolvedValue(FILTER_OPTIONS);
+        getTrendSeries.mockResolvedValue({ labels: [], datasets: [] });
+        getViews.mockResolvedValue([]);
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    describe('drill-down', () => {
+        it('narrows every other chart to a clicked segment and keeps the clicked chart whole', async () => {
+            const element = await createDashboard();
+            expect(getCrumbs(element)).toEqual([]);
+            expect(element.shadowRoot.textContent).toContain('Click a chart segment to drill into it.');
+
+            await clickChart(element, 'criticality', 'High');
+
+            expect(getCrumbs(element)).toEqual(['Criticality: High']);
+            expect(lastFilters(getAssetsByStatus).criticalities).toEqual(['High']);
+            expect(lastFilters(getDashboardMetrics).criticalities).toEqual(['High']);
+            expect(lastFilters(getAssetsByCondition).criticalities).toEqual(['High']);
+            expect(lastFilters(getAssetsByCriticality).criticalities).toEqual([]);
+            expect(lastFilters(getAssetValueByCriticality).criticalities).toEqual([]);
+        });
+
+        it('selects both the site and the maintenance status of a stacked bar segment', async () => {
+            const element = await createDashboard();
+
+            await clickChart(element, 'maintenanceBySite', 'North Plant', 'Overdue');
+
+            expect(getCrumbs(element)).toEqual(['Site: North Plant', 'Maintenance: Overdue']);
+            expect(lastFilters(getAssetsByStatus)).toEqual(expect.objectContaining({
+                siteIds: [NORTH_PLANT_ID],
+                maintenanceStatuses: ['Overdue']
+            }));
+            expect(lastFilters(getMaintenanceStatusBySite).siteIds).toEqual([]);
+        });
+
+        it('replaces an earlier selection of the same dimension', async () => {
+            const element = await createDashboard();
+
+            await clickChart(element, 'maintenanceBySite', 'North Plant');
+            await clickChart(element, 'siteValue', 'South Plant');
+            await clickChart(element, 'condition', 'Poor');
+
+            expect(getCrumbs(element)).toEqual(['Site: South Plant', 'Condition: Poor']);
+            expect(lastFilters(getAssetsByStatus)).toEqual(expect.objectContaining({
+                siteIds: [SOUTH_PLANT_ID],
+                conditions: ['Poor']
+            }));
+            // The site now comes from the value chart, so the maintenance chart is narrowed by it
+            expect(lastFilters(getMaintenanceStatusBySite).siteIds).toEqual([SOUTH_PLANT_ID]);
+        });
+
+        it('ignores segments that do not map to a filter', async () => {
+            const element = await createDashboard();
+            const loads = getAssetsByStatus.mock.calls.length;
+
+            await clickChart(element, 'siteValue', 'Unknown Site');
+            await clickChart(element, 'trend', 'Total');
+
+            expect(getCrumbs(element)).toEqual([]);
+            expect(getAssetsByStatus.mock.calls.length).toBe(loads);
+        });
+
+        it('removes one selection from its crumb and all of them from All Assets', async () => {
+            const element = await createDashboard();
+            await clickChart(element, 'criticality', 'High');
+            await clickChart(element, 'maintenance', 'Overdue');
+
+            element.shadowRoot.querySelector('lightning-pill').dispatchEvent(new CustomEvent('remove'));
+            await flushPromises();
+
+            expect(getCrumbs(element)).toEqual(['Maintenance: Overdue']);
+            expect(lastFilters(getAssetsByStatus).criticalities).toEqual([]);
+
+            element.shadowRoot.querySelector('a[title="Remove all chart selections"]').click();
+            await flushPromises();
+
+            expect(getCrumbs(element)).toEqual([]);
+            expect(lastFilters(getAssetsByStatus).maintenanceStatuses).toBeUndefined();
+        });
+
+        it('lists the matching assets and keeps the list in step with new selections', async () => {
+            getDrillDownRecords.mockResolvedValue({
+                totalCount: 250,
+                records: [{ id: '02i000000000001', name: 'Pump-01', criticality: 'High' }]
+            });
+            const element = await createDashboard();
+            await clickChart(element, 'criticality', 'High');
+
+            getButton(element, 'View Records').click();
+            await flushPromises();
+
+            expect(lastFilters(getDrillDownRecords).criticalities).toEqual(['High']);
+            const recordsCard = [...element.shadowRoot.querySelectorAll('lightning-card')].find(card => card.title === 'Matching Assets');
+            const table = recordsCard.querySelector('lightning-datatable');
+            expect(table.data[0].assetUrl).toBe('/lightning/r/Asset/02i000000000001/view');
+            expect(element.shadowRoot.textContent).toContain('Showing the first 1 of 250 assets');
+
+            getDrillDownRecords.mockResolvedValue({ totalCount: 0, records: [] });
+            await clickChart(element, 'condition', 'Poor');
+
+            expect(lastFilters(getDrillDownRecords).conditions).toEqual(['Poor']);
+            expect(element.shadowRoot.textContent).toContain('No assets match the current filters.');
+        });
+
+        it('warns when the maintenance status selection could not check every asset', async () => {
+            const element = await createDashboard();
+            expect(element.shadowRoot.querySelector('.maintenance-truncated')).toBeNull();
+
+            getDashboardMetrics.mockResolvedValue({
+                totalAssets: 10000, activeAssets: 10000, overdueAssets: 0, criticalAssets: 0, totalValue: 0,
+                maintenanceFilterTruncated: true
+            });
+            await clickChart(element, 'maintenance', 'Overdue');
+
+            expect(element.shadowRoot.querySelector('.maintenance-truncated').textContent).toContain('Results may be incomplete');
+        });
+    });
+
+    describe('filters', () => {
+        it('offers the active picklist values and keeps the extra filters folded away', async () => {
+            const element = await createDashboard();
+
+            expect(findByName(element, 'criticalityFilter').options).toEqual(FILTER_OPTIONS.criticalities);
+            expect(findByName(element, 'siteFilter').options).toEqual([
+                { label: 'North Plant', value: NORTH_PLANT_ID },
+                { label: 'South Plant', value: SOUTH_PLANT_ID }
+            ]);
+            expect(findByName(element, 'statuses')).toBeUndefined();
+
+            getButton(element, 'More Filters').click();
+            await flushPromises();
+
+            expect(findByName(element, 'statuses').options).toEqual(FILTER_OPTIONS.statuses);
+            expect(getButton(element, 'Fewer Filters')).toBeDefined();
+        });
+
+        it('applies every selected filter only when Apply Filters is clicked', async () => {
+            const element = await createDashboard();
+            expect(lastFilters(getDashboardMetrics)).toEqual(NO_FILTERS);
+            getButton(element, 'More Filters').click();
+            await flushPromises();
+
+            changeValue(findByName(element, 'siteFilter'), [NORTH_PLANT_ID]);
+            changeValue(findByName(element, 'criticalityFilter'), ['Not Set']);
+            changeInputValue(findByName(element, 'startDate'), '2026-01-01');
+            changeInputValue(findByName(element, 'endDate'), '2026-06-30');
+            changeValue(findByName(element, 'statuses'), ['Installed']);
+            changeValue(findByName(element, 'conditions'), ['Poor', 'Critical']);
+            pickRecord(element, 'Asset Template', TEMPLATE_ID);
+            pickRecord(element, 'Owner', OWNER_ID);
+            changeInputValue(findByName(element, 'costCenter'), 'CC-100');
+            changeInputValue(findByName(element, 'minPurchaseCost'), '500');
+            changeInputValue(findByName(element, 'maxPurchaseCost'), '');
+            await flushPromises();
+            expect(getDashboardMetrics).toHaveBeenCalledTimes(1);
+
+            getButton(element, 'Apply Filters').click();
+            await flushPromises();
+
+            const expected = {
+                ...NO_FILTERS,
+                siteIds: [NORTH_PLANT_ID],
+                criticalities: ['Not Set'],
+                startDate: '2026-01-01',
+                endDate: '2026-06-30',
+                statuses: ['Installed'],
+                conditions: ['Poor', 'Critical'],
+                templateIds: [TEMPLATE_ID],
+                ownerIds: [OWNER_ID],
+                costCenter: 'CC-100',
+                minPurchaseCost: 500
+            };
+            expect(lastFilters(getDashboardMetrics)).toEqual(expected);
+            expect(lastFilters(getAssetsByStatus)).toEqual(expected);
+            expect(lastFilters(getTrendSeries)).toEqual(expected);
+        });
+
+        it('names the filters and selections the org-wide trends do not apply', async () => {
+            const element = await createDashboard();
+            const ignoredFilters = () => element.shadowRoot.querySelector('.trend-ignored-filters');
+            expect(element.shadowRoot.textContent).toContain('Trends come from daily snapshots of every asset in the org');
+            expect(ignoredFilters()).toBeNull();
+
+            getButton(element, 'More Filters').click();
+            await flushPromises();
+            changeValue(findByName(element, 'siteFilter'), [NORTH_PLANT_ID]);
+            changeValue(findByName(element, 'statuses'), ['Installed']);
+            getButton(element, 'Apply Filters').click();
+            await flushPromises();
+
+            expect(ignoredFilters().textContent).toBe('Not applied to trends: Site, Status');
+
+            findByLabel(element, 'lightning-combobox', 'Group').dispatchEvent(
+                new CustomEvent('change', { detail: { value: 'Site' } })
+            );
+            await clickChart(element, 'condition', 'Poor');
+
+            expect(ignoredFilters().textContent).toBe('Not applied to trends: Status, Condition');
+        });
+
+        it('keeps using the applied filters until new selections are applied', async () => {
+            const element = await createDashboard();
+            changeValue(findByName(element, 'siteFilter'), [NORTH_PLANT_ID]);
+            getButton(element, 'Apply Filters').click();
+            await flushPromises();
+
+            changeValue(findByName(element, 'siteFilter'), [SOUTH_PLANT_ID]);
+            element.shadowRoot.querySelector('lightning-button-icon').click();
+            await flushPromises();
+
+            expect(lastFilters(getAssetsByStatus).siteIds).toEqual([NORTH_PLANT_ID]);
+        });
+
+        it('clears the filters and the chart selections together', async () => {
+            const element = await createDashboard();
+            getButton(element, 'More Filters').click();
+            await flushPromises();
+            changeValue(findByName(element, 'criticalityFilter'), ['High']);
+            changeValue(findByName(element, 'statuses'), ['Shipped']);
+            getButton(element, 'Apply Filters').click();
+            await flushPromises();
+            await clickChart(element, 'condition', 'Good');
+
+            getButton(element, 'Clear All Filters').click();
+            await flushPromises();
+
+            expect(lastFilters(getDashboardMetrics)).toEqual(NO_FILTERS);
+            expect(getCrumbs(element)).toEqual([]);
+            expect(findByName(element, 'criticalityFilter').value).toEqual([]);
+            expect(findByName(element, 'statuses').value).toEqual([]);
+        });
+    });
+
+    describe('saved views and links', () => {
+        const OWN_VIEW = {
+            id: 'a0V000000000001',
+            name: 'Critical North',
+            isOwner: true,
+            isDefault: true,
+            shared: false,
+            filters: JSON.stringify({ sites: [NORTH_PLANT_ID], criticalities: ['High'] }),
+            layout: JSON.stringify({ trendMetric: 'totalValue' })
+        };
+        const TEAM_VIEW = {
+            id: 'a0V000000000002',
+            name: 'Overdue Everywhere',
+            isOwner: false,
+            isDefault: true,
+            shared: true,
+            ownerName: 'Ada Admin',
+            filters: JSON.stringify({ drills: [{ chart: 'maintenance', dimension: 'maintenanceStatus', value: 'Overdue', label: 'Overdue' }] }),
+            layout: '{}'
+        };
+
+        beforeEach(() => {
+            getViews.mockResolvedValue([TEAM_VIEW, OWN_VIEW]);
+        });
+
+        it('opens the dashboard from the link instead of the default view', async () => {
+            const filters = JSON.stringify({
+                sites: [SOUTH_PLANT_ID],
+                drills: [{ chart: 'criticality', dimension: 'criticality', value: 'High', label: 'High' }]
+            });
+            const layout = JSON.stringify({ trendRange: '90', trendMetric: 'assetCount', trendDimension: 'Total', trendChartType: 'area' });
+            const element = await createDashboard({ c__filters: filters, c__layout: layout });
+
+            expect(lastFilters(getAssetsByStatus)).toEqual(expect.objectContaining({
+                siteIds: [SOUTH_PLANT_ID],
+                criticalities: ['High']
+            }));
+            expect(lastFilters(getAssetsByCriticality).criticalities).toEqual([]);
+            expect(getTrendSeries).toHaveBeenLastCalledWith(expect.objectContaining({ days: 90 }));
+            expect(getCrumbs(element)).toEqual(['Criticality: High']);
+            expect(getViewMenu(element).label).toBe('Views');
+            expect(mockNavigate).not.toHaveBeenCalled();
+        });
+
+        it('opens the user\'s own default view without a link and puts it in the URL', async () => {
+            const element = await createDashboard();
+
+            expect(getViewMenu(element).label).toBe('Critical North');
+            const menuItems = [...getViewMenu(element).querySelectorAll('lightning-menu-item')];
+            expect(menuItems.map(item => item.label)).toEqual([
+                'Overdue Everywhere (Ada Admin)',
+                'Critical North',
+                'Save View…',
+                'Delete View',
+                'Copy Link'
+            ]);
+            expect(menuItems.map(item => Boolean(item.checked))).toEqual([false, true, false, false, false]);
+            expect(lastFilters(getAssetsByStatus)).toEqual(expect.objectContaining({
+                siteIds: [NORTH_PLANT_ID],
+                criticalities: ['High']
+            }));
+            expect(getTrendSeries).toHaveBeenLastCalledWith(expect.objectContaining({ metric: 'totalValue' }));
+
+            expect(mockNavigate).toHaveBeenCalledTimes(1);
+            expect(mockNavigate.mock.calls[0][1]).toBe(true);
+            expect(JSON.parse(lastUrlState().c__filters)).toEqual({ sites: [NORTH_PLANT_ID], criticalities: ['High'] });
+            expect(JSON.parse(lastUrlState().c__layout).trendMetric).toBe('totalValue');
+        });
+
+        it('keeps the URL in step with chart selections and ignores its own navigation', async () => {
+            getViews.mockResolvedValue([]);
+            const element = await createDashboard();
+            expect(mockNavigate).not.toHaveBeenCalled();
+
+            await clickChart(element, 'maintenance', 'Overdue');
+
+            expect(JSON.parse(lastUrlState().c__filters)).toEqual({
+                drills: [{ chart: 'maintenance', dimension: 'maintenanceStatus', value: 'Overdue', label: 'Overdue' }]
+            });
+            expect(lastUrlState().c__layout).toBeUndefined();
+
+            const loads = getAssetsByStatus.mock.calls.length;
+            CurrentPageReference.emit(mockNavigate.mock.calls[0][0]);
+            await flushPromises();
+            expect(getAssetsByStatus.mock.calls.length).toBe(loads);
+        });
+
+        it('follows back and forward navigation to another dashboard state', async () => {
+            const element = await createDashboard();
+
+            CurrentPageReference.emit({
+                ...PAGE_REFERENCE,
+                state: { c__filters: JSON.stringify({ conditions: ['Poor'] }) }
+            });
+            await flushPromises();
+
+            expect(lastFilters(getAssetsByStatus)).toEqual({ ...NO_FILTERS, conditions: ['Poor'] });
+            expect(getViewMenu(element).label).toBe('Views');
+            expect(getButton(element, 'Fewer Filters')).toBeDefined();
+        });
+
+        it('ignores a link it cannot read', async () => {
+            getViews.mockResolvedValue([]);
+            const element = createElement('c-asset-dashboard', { is: AssetDashboard });
+            const toasts = listenForToasts(element);
+            document.body.appendChild(element);
+            CurrentPageReference.emit({ ...PAGE_REFERENCE, state: { c__filters: '{"sites":' } });
+            await flushPromises();
+
+            expect(toasts.map(toast => toast.title)).toEqual(['Error reading the dashboard link']);
+            expect(lastFilters(getDashboardMetrics)).toEqual(NO_FILTERS);
+        });
+
+        it('switches to a view picked from the menu', async () => {
+            const element = await createDashboard();
+
+            await selectViewMenuItem(element, TEAM_VIEW.id);
+
+            expect(getViewMenu(element).label).toBe('Overdue Everywhere');
+            expect(lastFilters(getAssetsByStatus)).toEqual({ ...NO_FILTERS, maintenanceStatuses: ['Overdue'] });
+            expect(getCrumbs(element)).toEqual(['Maintenance: Overdue']);
+        });
+
+        it('saves the applied state as a new view', async () => {
+            getViews.mockResolvedValue([]);
+            const element = await createDashboard();
+            const toasts = listenForToasts(element);
+            await clickChart(element, 'criticality', 'High');
+
+            await selectViewMenuItem(element, 'save');
+            expect(element.shadowRoot.textContent).toContain('Saves the applied filters, chart selections and trend settings as a new view.');
+            expect(getButton(element, 'Save').disabled).toBe(true);
+
+            changeValue(findByLabel(element, 'lightning-input', 'View Name'), 'High only');
+            const shared = findByLabel(element, 'lightning-input', 'Share with team');
+            shared.checked = true;
+            shared.dispatchEvent(new CustomEvent('change'));
+            await flushPromises();
+
+            const savedView = { id: 'a0V000000000003', name: 'High only', isOwner: true };
+            saveView.mockResolvedValue(savedView);
+            getViews.mockResolvedValue([savedView]);
+            getButton(element, 'Save').click();
+            await flushPromises();
+
+            expect(saveView).toHaveBeenCalledWith({
+                viewId: null,
+                name: 'High only',
+                filters: JSON.stringify({
+                    drills: [{ chart: 'criticality', dimension: 'criticality', value: 'High', label: 'High' }]
+                }),
+                layout: JSON.stringify({ trendRange: '30', trendMetric: 'assetCount', trendDimension: 'Total', trendChartType: 'line' }),
+                shared: true,
+                isDefault: false
+            });
+            expect(toasts).toEqual([{ title: 'View saved', message: 'Saved "High only"', variant: 'success' }]);
+            expect(getViewMenu(element).label).toBe('High only');
+            expect(findByLabel(element, 'lightning-input', 'View Name')).toBeUndefined();
+        });
+
+        it('overwrites the current view only while it keeps its name', async () => {
+            saveView.mockResolvedValue(OWN_VIEW);
+            const element = await createDashboard();
+
+            await selectViewMenuItem(element, 'save');
+            const nameInput = findByLabel(element, 'lightning-input', 'View Name');
+            expect(nameInput.value).toBe('Critical North');
+            expect(findByLabel(element, 'lightning-input', 'Open by default').checked).toBe(true);
+            expect(element.shadowRoot.textContent).toContain('Overwrites "Critical North"');
+
+            getButton(element, 'Save').click();
+            await flushPromises();
+            expect(saveView).toHaveBeenLastCalledWith(expect.objectContaining({ viewId: OWN_VIEW.id, isDefault: true }));
+
+            await selectViewMenuItem(element, 'save');
+            changeValue(findByLabel(element, 'lightning-input', 'View Name'), 'Critical North copy');
+            await flushPromises();
+            getButton(element, 'Save').click();
+            await flushPromises();
+            expect(saveView).toHaveBeenLastCalledWith(expect.objectContaining({ viewId: null, name: 'Critical North copy' }));
+        });
+
+        it('starts a new view from a view shared by someone else', async () => {
+            const element = await createDashboard();
+            await selectViewMenuItem(element, TEAM_VIEW.id);
+
+            await selectViewMenuItem(element, 'save');
+
+            expect(findByLabel(element, 'lightning-input', 'View Name').value).toBe('');
+            const deleteItem = [...getViewMenu(element).querySelectorAll('lightning-menu-item')].find(item => item.value === 'delete');
+            expect(deleteItem.disabled).toBe(true);
+        });
+
+        it('deletes the current view', async () => {
+            deleteView.mockResolvedValue();
+            const element = await createDashboard();
+            const toasts = listenForToasts(element);
+            getViews.mockResolvedValue([TEAM_VIEW]);
+
+            await selectViewMenuItem(element, 'delete');
+
+            expect(deleteView).toHaveBeenCalledWith({ viewId: OWN_VIEW.id });
+            expect(toasts).toEqual([{ title: 'View deleted', message: 'Deleted "Critical North"', variant: 'success' }]);
+            expect(getViewMenu(element).label).toBe('Views');
+        });
+
+        it('copies a link to the dashboard as it is now', async () => {
+            getViews.mockResolvedValue([]);
+            mockGenerateUrl.mockResolvedValue('/lightning/n/Asset_Dashboard?c__filters=x');
+            const writeText = jest.fn().mockResolvedValue();
+            Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+            const element = await createDashboard();
+            const toasts = listenForToasts(element);
+            await clickChart(element, 'condition', 'Poor');
+
+            await selectViewMenuItem(element, 'copyLink');
+
+            expect(JSON.parse(mockGenerateUrl.mock.calls[0][0].state.c__filters)).toEqual({
+                drills: [{ chart: 'condition', dimension: 'condition', value: 'Poor', label: 'Poor' }]
+            });
+            expect(writeText).toHaveBeenCalledWith(`${window.location.origin}/lightning/n/Asset_Dashboard?c__filters=x`);
+            expect(toasts.map(toast => toast.title)).toEqual(['Link copied']);
+        });
+    });
+
+    describe('export', () => {
+        const FILE = { fileName: 'assets-by-criticality.csv', mimeType: 'text/csv', content: 'IkEi', rowCount: 2, truncated: false };
+
+        it('exports a chart under the same filters as the chart', async () => {
+            exportWidget.mockResolvedValue(FILE);
+            const element = await createDashboard();
+            const toasts = listenForToasts(element);
+            await clickChart(element, 'criticality', 'High');
+            await clickChart(element, 'condition', 'Poor');
+
+            await exportWidgetAs(element, 'criticality', 'csv');
+
+            expect(exportWidget).toHaveBeenCalledWith({
+                widget: 'criticality',
+                format: 'csv',
+                filters: expect.objectContaining({ criticalities: [], conditions: ['Poor'] })
+            });
+            expect(downloadExportFile).toHaveBeenCalledWith(FILE);
+            expect(toasts).toEqual([{ title: 'Export complete', message: 'Exported 2 rows', variant: 'success' }]);
+        });
+
+        it('exports the trend with its settings and warns when rows were left out', async () => {
+            exportTrend.mockResolvedValue({ ...FILE, fileName: 'trend.xlsx', rowCount: 50000, truncated: true });
+            const element = await createDashboard({
+                c__layout: JSON.stringify({ trendRange: '365', trendMetric: 'overdueCount', trendDimension: 'Site', trendChartType: 'line' })
+            });
+            const toasts = listenForToasts(element);
+
+            await exportWidgetAs(element, 'trend', 'xlsx');
+
+            expect(exportTrend).toHaveBeenCalledWith({
+                dimension: 'Site',
+                metric: 'overdueCount',
+                days: 365,
+                format: 'xlsx',
+                filters: NO_FILTERS
+            });
+            expect(exportWidget).not.toHaveBeenCalled();
+            expect(toasts).toEqual([{
+                title: 'Export complete',
+                message: 'Exported the first 50000 rows. Narrow the filters to export the rest.',
+                variant: 'warning'
+            }]);
+        });
+
+        it('shows why an export failed', async () => {
+            exportWidget.mockRejectedValue({ body: { message: 'You do not have access to export assets.' } });
+            const element = await createDashboard();
+            const toasts = listenForToasts(element);
+            getButton(element, 'View Records').click();
+            await flushPromises();
+
+            await exportWidgetAs(element, 'records', 'xlsx');
+
+            expect(downloadExportFile).not.toHaveBeenCalled();
+            expect(toasts).toEqual([{ title: 'Error exporting data', message: 'You do not have access to export assets.', variant: 'error' }]);
+        });
+    });
+
+    describe('version transitions', () => {
+        it('stops listening for transitions when removed', async () => {
+            const element = await createDashboard();
+
+            document.body.removeChild(element);
+
+            expect(unsubscribeFromVersionTransitions).toHaveBeenCalledWith(
+                await subscribeToVersionTransitions.mock.results[0].value
+            );
+        });
+
+        it('drops a subscription that completes after the dashboard was removed', async () => {
+            let resolveSubscription;
+            subscribeToVersionTransitions.mockReturnValueOnce(new Promise(resolve => {
+                resolveSubscription = resolve;
+            }));
+            const element = await createDashboard();
+
+            document.body.removeChild(element);
+            expect(unsubscribeFromVersionTransitions).toHaveBeenCalledWith(null);
+
+            resolveSubscription({ id: 'late subscription' });
+            await flushPromises();
+
+            expect(unsubscribeFromVersionTransitions).toHaveBeenLastCalledWith({ id: 'late subscription' });
+        });
+    });
+});
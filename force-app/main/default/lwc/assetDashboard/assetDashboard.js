@@ -1,6 +1,6 @@
-import { LightningElement } from 'lwc';
+import { LightningElement, wire } from 'lwc';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
-import { NavigationMixin } from 'lightning/navigation';
+import { NavigationMixin, CurrentPageReference } from 'lightning/navigation';
 
 import getAssetsByStatus from '@salesforce/apex/AssetDashboardController.getAssetsByStatus';
 import getAssetsByCriticality from '@salesforce/apex/AssetDashboardController.getAssetsByCriticality';
@@ -14,41 +14,151 @@ import getTop10ExpensiveAssets from '@salesforce/apex/AssetDashboardController.g
 import getAssetsNeedingMaintenance from '@salesforce/apex/AssetDashboardController.getAssetsNeedingMaintenance';
 import getAssetValueBySite from '@salesforce/apex/AssetDashboardController.getAssetValueBySite';
 import getSiteOptions from '@salesforce/apex/AssetDashboardController.getSiteOptions';
+import getFilterOptions from '@salesforce/apex/AssetDashboardController.getFilterOptions';
+import getTrendSeries from '@salesforce/apex/AssetDashboardController.getTrendSeries';
+import getDrillDownRecords from '@salesforce/apex/AssetDashboardController.getDrillDownRecords';
+import exportWidget from '@salesforce/apex/AssetDashboardController.exportWidget';
+import exportTrend from '@salesforce/apex/AssetDashboardController.exportTrend';
+import getViews from '@salesforce/apex/AssetDashboardViewController.getViews';
+import saveView from '@salesforce/apex/AssetDashboardViewController.saveView';
+import deleteView from '@salesforce/apex/AssetDashboardViewController.deleteView';
+import { subscribeToVersionTransitions, unsubscribeFromVersionTransitions } from 'c/versionTransitionEvents';
+import { downloadExportFile, describeExport } from 'c/exportFile';
+
+// Dimensions a chart selection can drill into, with the FilterParams list each one sets
+const DRILL_DIMENSIONS = {
+    site: { label: 'Site', param: 'siteIds' },
+    criticality: { label: 'Criticality', param: 'criticalities' },
+    condition: { label: 'Condition', param: 'conditions' },
+    maintenanceStatus: { label: 'Maintenance', param: 'maintenanceStatuses' }
+};
+
+// Filters under More Filters, named after their FilterParams properties (lookups hold one record)
+const EMPTY_MORE_FILTERS = {
+    statuses: [],
+    assetTypes: [],
+    lifecycleStages: [],
+    conditions: [],
+    versionStatuses: [],
+    templateId: null,
+    ownerId: null,
+    costCenter: '',
+    minPurchaseCost: null,
+    maxPurchaseCost: null
+};
+
+// Filter names by FilterParams property, for listing the filters trends do not apply
+const FILTER_LABELS = {
+    siteIds: 'Site',
+    criticalities: 'Criticality',
+    startDate: 'Install Date',
+    endDate: 'Install Date',
+    statuses: 'Status',
+    assetTypes: 'Asset Type',
+    lifecycleStages: 'Lifecycle Stage',
+    conditions: 'Condition',
+    versionStatuses: 'Version Status',
+    templateIds: 'Asset Template',
+    ownerIds: 'Owner',
+    costCenter: 'Cost Center',
+    minPurchaseCost: 'Purchase Cost',
+    maxPurchaseCost: 'Purchase Cost',
+    maintenanceStatuses: 'Maintenance'
+};
+
+// The only filter each trend group can apply, as snapshots are summed by that group alone
+const TREND_GROUP_FILTERS = {
+    Site: 'siteIds',
+    Criticality: 'criticalities'
+};
+
+// Trend settings saved with a view; only settings that differ from these go into the URL
+const DEFAULT_LAYOUT = {
+    trendRange: '30',
+    trendMetric: 'assetCount',
+    trendDimension: 'Total',
+    trendChartType: 'line'
+};
+
+// Identifies the dashboard state held in the page URL
+function getUrlStateKey(state) {
+    return `${state.c__filters || ''}|${state.c__layout || ''}`;
+}
+
+function hasOption(options, value) {
+    return options.some((option) => option.value === value);
+}
 
 export default class AssetDashboard extends NavigationMixin(LightningElement) {
     isLoading = true;
     
+    // Version_Transitioned__e subscription; refreshPending marks a transition received during a reload
+    transitionSubscription = null;
+    refreshPending = false;
+    
+    // Set while removed from the page, so a subscription completing afterwards is dropped
+    isDisconnected = false;
+    
     metrics = {
         totalAssets: 0,
         activeAssets: 0,
         overdueAssets: 0,
         criticalAssets: 0,
-        totalValue: 0
+        totalValue: 0,
+        maintenanceFilterTruncated: false
     };
     
-    // Filter options
+    // Filter options; picklist options come from the field describe, keyed by FilterParams property
     siteOptions = [];
-    criticalityOptions = [
-        { label: 'Critical', value: 'Critical' },
-        { label: 'High', value: 'High' },
-        { label: 'Medium', value: 'Medium' },
-        { label: 'Low', value: 'Low' }
-    ];
+    picklistOptions = {};
+    showMoreFilters = false;
     
     // Selected filter values
     selectedSites = [];
     selectedCriticalities = [];
     startDate = null;
     endDate = null;
+    selectedMoreFilters = { ...EMPTY_MORE_FILTERS };
     
     // Applied filters (used for actual filtering)
     appliedFilters = {
         sites: [],
         criticalities: [],
         startDate: null,
-        endDate: null
+        endDate: null,
+        ...EMPTY_MORE_FILTERS
     };
     
+    // Drill-down selections made by clicking charts; each narrows every chart except the one it was made in
+    drillFilters = [];
+    
+    // Saved views; the page URL carries the same filters and layout as c__filters and c__layout
+    pageReference;
+    urlStateKey;
+    isStateInitialized = false;
+    views = [];
+    currentViewId = null;
+    isSavePanelOpen = false;
+    isSavingView = false;
+    viewName = '';
+    viewShared = false;
+    viewDefault = false;
+    
+    // Assets matching the filters and drill-down selections
+    showDrillRecords = false;
+    isLoadingDrillRecords = false;
+    drillRecords = [];
+    drillRecordCount = 0;
+    drillRecordColumns = [
+        { label: 'Asset Name', fieldName: 'assetUrl', type: 'url', typeAttributes: { label: { fieldName: 'name' }, target: '_blank' } },
+        { label: 'Serial Number', fieldName: 'serialNumber', type: 'text' },
+        { label: 'Site', fieldName: 'siteName', type: 'text' },
+        { label: 'Status', fieldName: 'status', type: 'text' },
+        { label: 'Criticality', fieldName: 'criticality', type: 'text' },
+        { label: 'Condition', fieldName: 'condition', type: 'text' },
+        { label: 'Purchase Cost', fieldName: 'purchaseCost', type: 'currency', cellAttributes: { alignment: 'left' } }
+    ];
+    
     // Chart configurations
     statusChartConfig;
     criticalityChartConfig;
@@ -58,6 +168,33 @@ export default class AssetDashboard extends NavigationMixin(LightningElement) {
     maintenanceBySiteConfig;
     conditionChartConfig;
     siteValueChartConfig;
+    trendChartConfig;
+    
+    // Trend options; the series come from the daily snapshots of AssetDashboardSnapshotJob
+    trendRange = DEFAULT_LAYOUT.trendRange;
+    trendMetric = DEFAULT_LAYOUT.trendMetric;
+    trendDimension = DEFAULT_LAYOUT.trendDimension;
+    trendChartType = DEFAULT_LAYOUT.trendChartType;
+    trendRangeOptions = [
+        { label: '30 Days', value: '30' },
+        { label: '90 Days', value: '90' },
+        { label: '365 Days', value: '365' }
+    ];
+    trendMetricOptions = [
+        { label: 'Asset Count', value: 'assetCount' },
+        { label: 'Overdue Maintenance', value: 'overdueCount' },
+        { label: 'Total Value', value: 'totalValue' }
+    ];
+    trendDimensionOptions = [
+        { label: 'All Assets', value: 'Total' },
+        { label: 'By Site', value: 'Site' },
+        { label: 'By Criticality', value: 'Criticality' },
+        { label: 'By Maintenance Status', value: 'Maintenance Status' }
+    ];
+    trendChartTypeOptions = [
+        { label: 'Line', value: 'line' },
+        { label: 'Area', value: 'area' }
+    ];
     
     // Table data
     expensiveAssets = [];
@@ -102,15 +239,39 @@ export default class AssetDashboard extends NavigationMixin(LightningElement) {
         }
     ];
     
+    /**
+     * FilterParams for one chart: the applied filters plus the drill-down selections,
+     * leaving out the selections made in that chart so it keeps showing every category
+     */
+    buildFilters(chartName) {
+        const applied = this.appliedFilters;
+        const filters = {
+            siteIds: applied.sites,
+            criticalities: applied.criticalities,
+            startDate: applied.startDate,
+            endDate: applied.endDate,
+            statuses: applied.statuses,
+            assetTypes: applied.assetTypes,
+            lifecycleStages: applied.lifecycleStages,
+            conditions: applied.conditions,
+            versionStatuses: applied.versionStatuses,
+            templateIds: applied.templateId ? [applied.templateId] : [],
+            ownerIds: applied.ownerId ? [applied.ownerId] : [],
+            costCenter: applied.costCenter,
+            minPurchaseCost: applied.minPurchaseCost,
+            maxPurchaseCost: applied.maxPurchaseCost
+        };
+        this.drillFilters
+            .filter((drill) => drill.chart !== chartName)
+            .forEach((drill) => {
+                filters[DRILL_DIMENSIONS[drill.dimension].param] = [drill.value];
+            });
+        return filters;
+    }
+    
     async loadMetrics() {
         try {
-            const filters = {
-                siteIds: this.appliedFilters.sites,
-                criticalities: this.appliedFilters.criticalities,
-                startDate: this.appliedFilters.startDate,
-                endDate: this.appliedFilters.endDate
-            };
-            this.metrics = await getDashboardMetrics(filters);
+            this.metrics = await getDashboardMetrics({ filters: this.buildFilters() });
         } catch (error) {
             this.showError('Error loading metrics', error);
         }
@@ -149,10 +310,135 @@ export default class AssetDashboard extends NavigationMixin(LightningElement) {
         return this.maintenanceAssets && this.maintenanceAssets.length > 0;
     }
     
+    get hasDrillFilters() {
+        return this.drillFilters.length > 0;
+    }
+    
+    get hasDrillRecords() {
+        return this.drillRecords.length > 0;
+    }
+    
+    get drillRecordSummary() {
+        if (this.drillRecords.length < this.drillRecordCount) {
+            return `Showing the first ${this.drillRecords.length} of ${this.drillRecordCount} assets`;
+        }
+        return `${this.drillRecordCount} assets`;
+    }
+    
+    get criticalityOptions() {
+        return this.picklistOptions.criticalities || [];
+    }
+    
+    get moreFiltersLabel() {
+        return this.showMoreFilters ? 'Fewer Filters' : 'More Filters';
+    }
+    
+    get currentView() {
+        return this.views.find((view) => view.id === this.currentViewId);
+    }
+    
+    get viewMenuLabel() {
+        return this.currentView ? this.currentView.name : 'Views';
+    }
+    
+    get viewMenuItems() {
+        return this.views.map((view) => ({
+            ...view,
+            menuLabel: view.isOwner ? view.name : `${view.name} (${view.ownerName})`,
+            isCurrent: view.id === this.currentViewId
+        }));
+    }
+    
+    get hasViews() {
+        return this.views.length > 0;
+    }
+    
+    get isDeleteViewDisabled() {
+        return !this.currentView || !this.currentView.isOwner;
+    }
+    
+    get isSaveViewDisabled() {
+        return !this.viewName.trim() || this.isSavingView;
+    }
+    
+    // Saving under the current view's name overwrites it, if the user owns it
+    get isOverwritingView() {
+        const view = this.currentView;
+        return Boolean(view && view.isOwner && view.name === this.viewName.trim());
+    }
+    
+    get saveViewHint() {
+        return this.isOverwritingView
+            ? `Overwrites "${this.currentView.name}" with the applied filters, chart selections and trend settings.`
+            : 'Saves the applied filters, chart selections and trend settings as a new view.';
+    }
+    
+    /**
+     * The first page reference opens the dashboard from the URL state or, without one,
+     * from the user's default view. Later changes come from back/forward navigation
+     * or a pasted link; the ones the dashboard made itself are skipped.
+     */
+    @wire(CurrentPageReference)
+    setPageReference(pageReference) {
+        this.pageReference = pageReference;
+        if (!pageReference) {
+            return;
+        }
+        
+        const state = pageReference.state || {};
+        const key = getUrlStateKey(state);
+        if (this.isStateInitialized && key === this.urlStateKey) {
+            return;
+        }
+        this.urlStateKey = key;
+        
+        if (!this.isStateInitialized) {
+            this.isStateInitialized = true;
+            this.initializeState(state);
+        } else {
+            this.applyUrlState(state);
+            this.reloadDashboard();
+        }
+    }
+    
     connectedCallback() {
+        this.isDisconnected = false;
         this.loadSiteOptions();
-        this.loadMetrics();
-        this.loadAllCharts();
+        this.loadFilterOptions();
+        this.subscribeToTransitions();
+    }
+    
+    disconnectedCallback() {
+        this.isDisconnected = true;
+        unsubscribeFromVersionTransitions(this.transitionSubscription);
+        this.transitionSubscription = null;
+    }
+    
+    /**
+     * Reloads the dashboard when a version is activated or rolled back elsewhere.
+     * A bulk activation publishes one event per asset, so events that arrive while
+     * a reload is running only queue one more reload.
+     */
+    async subscribeToTransitions() {
+        try {
+            const subscription = await subscribeToVersionTransitions(
+                () => {
+                    if (this.isLoading) {
+                        this.refreshPending = true;
+                    } else {
+                        this.handleRefresh();
+                    }
+                },
+                error => this.showError('Version transition updates stopped', error)
+            );
+            if (this.isDisconnected) {
+                unsubscribeFromVersionTransitions(subscription);
+            } else {
+                this.transitionSubscription = subscription;
+            }
+        } catch (error) {
+            this.showError('Error subscribing to version transitions', error);
+        }
     }
     
     async loadSiteOptions() {
@@ -167,6 +453,14 @@ export default class AssetDashboard extends NavigationMixin(LightningElement) {
         }
     }
     
+    async loadFilterOptions() {
+        try {
+            this.picklistOptions = await getFilterOptions();
+        } catch (error) {
+            this.showError('Error loading filter options', error);
+        }
+    }
+    
     handleSiteChange(event) {
         this.selectedSites = event.detail.value;
     }
@@ -183,16 +477,291 @@ export default class AssetDashboard extends NavigationMixin(LightningElement) {
         this.endDate = event.target.value;
     }
     
+    async initializeState(state) {
+        await this.loadViews();
+        if (state.c__filters || state.c__layout) {
+            this.applyUrlState(state);
+        } else {
+            const defaultView = this.views.find((view) => view.isDefault && view.isOwner);
+            if (defaultView) {
+                this.applyView(defaultView);
+            }
+        }
+        this.reloadDashboard();
+    }
+    
+    async loadViews() {
+        try {
+            this.views = await getViews();
+        } catch (error) {
+            this.showError('Error loading saved views', error);
+        }
+    }
+    
+    applyUrlState(state) {
+        this.currentViewId = null;
+        this.applyFilterState(this.parseState(state.c__filters));
+        this.applyLayoutState(this.parseState(state.c__layout));
+    }
+    
+    applyView(view) {
+        this.currentViewId = view.id;
+        this.applyFilterState(this.parseState(view.filters));
+        this.applyLayoutState(this.parseState(view.layout));
+    }
+    
+    // Links can be edited by hand, so anything but a JSON object is ignored
+    parseState(json) {
+        if (!json) {
+            return {};
+        }
+        try {
+            const state = JSON.parse(json);
+            return state && typeof state === 'object' && !Array.isArray(state) ? state : {};
+        } catch (error) {
+            this.showError('Error reading the dashboard link', error);
+            return {};
+        }
+    }
+    
+    /**
+     * Applied filters and drill-down selections, leaving out empty filters.
+     * Drill-downs keep their label so a site selection reads the same without the site options.
+     */
+    getFilterState() {
+        const state = {};
+        Object.entries(this.appliedFilters).forEach(([name, value]) => {
+            const isSet = Array.isArray(value) ? value.length > 0 : value !== null && value !== undefined && value !== '';
+            if (isSet) {
+                state[name] = value;
+            }
+        });
+        if (this.drillFilters.length > 0) {
+            state.drills = this.drillFilters.map(({ chart, dimension, value, label }) => ({ chart, dimension, value, label }));
+        }
+        return state;
+    }
+    
+    applyFilterState(state) {
+        const listOf = (value) => (Array.isArray(value) ? value.map(String) : []);
+        const moreFilters = { ...EMPTY_MORE_FILTERS };
+        Object.keys(EMPTY_MORE_FILTERS).forEach((name) => {
+            const value = state[name];
+            if (Array.isArray(EMPTY_MORE_FILTERS[name])) {
+                moreFilters[name] = listOf(value);
+            } else if (typeof value === 'string' || typeof value === 'number') {
+                moreFilters[name] = value;
+            }
+        });
+        
+        this.selectedSites = listOf(state.sites);
+        this.selectedCriticalities = listOf(state.criticalities);
+        this.startDate = typeof state.startDate === 'string' ? state.startDate : null;
+        this.endDate = typeof state.endDate === 'string' ? state.endDate : null;
+        this.selectedMoreFilters = moreFilters;
+        this.applySelectedFilters();
+        
+        const drills = Array.isArray(state.drills) ? state.drills : [];
+        this.drillFilters = drills
+            .filter((drill) => drill && DRILL_DIMENSIONS[drill.dimension] && drill.value)
+            .map((drill) => this.toDrillFilter(drill, drill.chart));
+        
+        if (JSON.stringify(moreFilters) !== JSON.stringify(EMPTY_MORE_FILTERS)) {
+            this.showMoreFilters = true;
+        }
+    }
+    
+    getLayoutState() {
+        return {
+            trendRange: this.trendRange,
+            trendMetric: this.trendMetric,
+            trendDimension: this.trendDimension,
+            trendChartType: this.trendChartType
+        };
+    }
+    
+    applyLayoutState(state) {
+        const layout = { ...DEFAULT_LAYOUT };
+        if (hasOption(this.trendRangeOptions, state.trendRange)) {
+            layout.trendRange = state.trendRange;
+        }
+        if (hasOption(this.trendMetricOptions, state.trendMetric)) {
+            layout.trendMetric = state.trendMetric;
+        }
+        if (hasOption(this.trendDimensionOptions, state.trendDimension)) {
+            layout.trendDimension = state.trendDimension;
+        }
+        if (hasOption(this.trendChartTypeOptions, state.trendChartType)) {
+            layout.trendChartType = state.trendChartType;
+        }
+        Object.assign(this, layout);
+    }
+    
+    buildUrlState() {
+        const filters = this.getFilterState();
+        const layout = JSON.stringify(this.getLayoutState());
+        return {
+            c__filters: Object.keys(filters).length > 0 ? JSON.stringify(filters) : undefined,
+            c__layout: layout !== JSON.stringify(DEFAULT_LAYOUT) ? layout : undefined
+        };
+    }
+    
+    /**
+     * Writes the filters and layout to the page URL, replacing the history entry,
+     * so the address bar can be bookmarked or shared at any time
+     */
+    updateUrlState() {
+        if (!this.pageReference || !this.isStateInitialized) {
+            return;
+        }
+        const urlState = this.buildUrlState();
+        const key = getUrlStateKey(urlState);
+        if (key === this.urlStateKey) {
+            return;
+        }
+        this.urlStateKey = key;
+        this[NavigationMixin.Navigate]({
+            ...this.pageReference,
+            state: { ...this.pageReference.state, ...urlState }
+        }, true);
+    }
+    
+    handleViewMenuSelect(event) {
+        const value = event.detail.value;
+        switch (value) {
+            case 'save':
+                this.openSavePanel();
+                break;
+            case 'delete':
+                this.deleteCurrentView();
+                break;
+            case 'copyLink':
+                this.copyLink();
+                break;
+            default: {
+                const view = this.views.find((item) => item.id === value);
+                if (view) {
+                    this.applyView(view);
+                    this.reloadDashboard();
+                }
+            }
+        }
+    }
+    
+    openSavePanel() {
+        const view = this.currentView;
+        const isOwnView = Boolean(view && view.isOwner);
+        this.viewName = isOwnView ? view.name : '';
+        this.viewShared = isOwnView && view.shared;
+        this.viewDefault = isOwnView && view.isDefault;
+        this.isSavePanelOpen = true;
+    }
+    
+    handleViewNameChange(event) {
+        this.viewName = event.detail.value || '';
+    }
+    
+    handleViewSharedChange(event) {
+        this.viewShared = event.target.checked;
+    }
+    
+    handleViewDefaultChange(event) {
+        this.viewDefault = event.target.checked;
+    }
+    
+    handleCancelSaveView() {
+        this.isSavePanelOpen = false;
+    }
+    
+    async handleSaveView() {
+        this.isSavingView = true;
+        try {
+            const view = await saveView({
+                viewId: this.isOverwritingView ? this.currentViewId : null,
+                name: this.viewName,
+                filters: JSON.stringify(this.getFilterState()),
+                layout: JSON.stringify(this.getLayoutState()),
+                shared: this.viewShared,
+                isDefault: this.viewDefault
+            });
+            await this.loadViews();
+            this.currentViewId = view.id;
+            this.isSavePanelOpen = false;
+            this.dispatchEvent(new ShowToastEvent({
+                title: 'View saved',
+                message: `Saved "${view.name}"`,
+                variant: 'success'
+            }));
+        } catch (error) {
+            this.showError('Error saving view', error);
+        }
+        this.isSavingView = false;
+    }
+    
+    async deleteCurrentView() {
+        const view = this.currentView;
+        try {
+            await deleteView({ viewId: view.id });
+            this.currentViewId = null;
+            await this.loadViews();
+            this.dispatchEvent(new ShowToastEvent({
+                title: 'View deleted',
+                message: `Deleted "${view.name}"`,
+                variant: 'success'
+            }));
+        } catch (error) {
+            this.showError('Error deleting view', error);
+        }
+    }
+    
+    async copyLink() {
+        try {
+            const url = await this[NavigationMixin.GenerateUrl]({
+                ...this.pageReference,
+                state: { ...this.pageReference.state, ...this.buildUrlState() }
+            });
+            await navigator.clipboard.writeText(new URL(url, window.location.origin).href);
+            this.dispatchEvent(new ShowToastEvent({
+                title: 'Link copied',
+                message: 'The link opens the dashboard with the applied filters and chart selections.',
+                variant: 'success'
+            }));
+        } catch (error) {
+            this.showError('Error copying link', error);
+        }
+    }
+    
+    handleToggleMoreFilters() {
+        this.showMoreFilters = !this.showMoreFilters;
+    }
+    
+    // More Filters controls are named after their EMPTY_MORE_FILTERS key
+    handleMoreFilterChange(event) {
+        let value = event.detail.value;
+        if (event.target.type === 'number') {
+            value = value === '' || value === null || value === undefined ? null : Number(value);
+        }
+        this.selectedMoreFilters = { ...this.selectedMoreFilters, [event.target.name]: value };
+    }
+    
+    handleMoreRecordFilterChange(event) {
+        const filterName = event.target.dataset.filter;
+        this.selectedMoreFilters = { ...this.selectedMoreFilters, [filterName]: event.detail.recordId || null };
+    }
+    
     handleApplyFilters() {
+        this.applySelectedFilters();
+        this.reloadDashboard();
+    }
+    
+    applySelectedFilters() {
         this.appliedFilters = {
             sites: [...this.selectedSites],
             criticalities: [...this.selectedCriticalities],
             startDate: this.startDate,
-            endDate: this.endDate
+            endDate: this.endDate,
+            ...this.selectedMoreFilters
         };
-        this.isLoading = true;
-        this.loadMetrics();
-        this.loadAllCharts();
     }
     
     handleClearFilters() {
@@ -200,25 +769,134 @@ export default class AssetDashboard extends NavigationMixin(LightningElement) {
         this.selectedCriticalities = [];
         this.startDate = null;
         this.endDate = null;
+        this.selectedMoreFilters = { ...EMPTY_MORE_FILTERS };
         this.appliedFilters = {
             sites: [],
             criticalities: [],
             startDate: null,
-            endDate: null
+            endDate: null,
+            ...EMPTY_MORE_FILTERS
         };
+        this.drillFilters = [];
+        this.reloadDashboard();
+    }
+    
+    /**
+     * Adds the dimension of a clicked chart segment to the drill-down selections.
+     * A dimension is selected once, so a new click replaces the earlier selection.
+     */
+    handleChartSelect(event) {
+        const chartName = event.currentTarget.dataset.chart;
+        const selections = this.getDrillSelections(chartName, event.detail.label, event.detail.series);
+        if (selections.length === 0) {
+            return;
+        }
+        
+        const dimensions = selections.map((selection) => selection.dimension);
+        this.drillFilters = [
+            ...this.drillFilters.filter((drill) => !dimensions.includes(drill.dimension)),
+            ...selections.map((selection) => this.toDrillFilter(selection, chartName))
+        ];
+        this.reloadDashboard();
+    }
+    
+    toDrillFilter(selection, chartName) {
+        const label = selection.label || selection.value;
+        return {
+            dimension: selection.dimension,
+            value: String(selection.value),
+            label: label,
+            chart: chartName,
+            key: selection.dimension,
+            crumbLabel: `${DRILL_DIMENSIONS[selection.dimension].label}: ${label}`
+        };
+    }
+    
+    getDrillSelections(chartName, label, series) {
+        switch (chartName) {
+            case 'criticality':
+                return [{ dimension: 'criticality', value: label, label: label }];
+            case 'condition':
+                return [{ dimension: 'condition', value: label, label: label }];
+            case 'maintenance':
+                return [{ dimension: 'maintenanceStatus', value: label, label: label }];
+            case 'maintenanceBySite':
+                return [
+                    ...this.getSiteSelection(label),
+                    ...(series ? [{ dimension: 'maintenanceStatus', value: series, label: series }] : [])
+                ];
+            case 'siteValue':
+                return this.getSiteSelection(label);
+            case 'trend':
+                if (this.trendDimension === 'Site') {
+                    return this.getSiteSelection(label);
+                } else if (this.trendDimension === 'Criticality') {
+                    return [{ dimension: 'criticality', value: label, label: label }];
+                } else if (this.trendDimension === 'Maintenance Status') {
+                    return [{ dimension: 'maintenanceStatus', value: label, label: label }];
+                }
+                return [];
+            default:
+                return [];
+        }
+    }
+    
+    // Site charts are keyed by name, so the selection looks up the site's ID
+    getSiteSelection(siteName) {
+        const site = this.siteOptions.find((option) => option.label === siteName);
+        return site ? [{ dimension: 'site', value: site.value, label: siteName }] : [];
+    }
+    
+    handleRemoveDrillFilter(event) {
+        const key = event.target.name;
+        this.drillFilters = this.drillFilters.filter((drill) => drill.key !== key);
+        this.reloadDashboard();
+    }
+    
+    handleClearDrillFilters() {
+        this.drillFilters = [];
+        this.reloadDashboard();
+    }
+    
+    handleViewRecords() {
+        this.showDrillRecords = true;
+        this.loadDrillRecords();
+    }
+    
+    handleCloseRecords() {
+        this.showDrillRecords = false;
+    }
+    
+    async loadDrillRecords() {
+        this.isLoadingDrillRecords = true;
+        try {
+            const result = await getDrillDownRecords({ filters: this.buildFilters() });
+            this.drillRecordCount = result.totalCount;
+            this.drillRecords = result.records.map((record) => ({
+                ...record,
+                assetUrl: `/lightning/r/Asset/${record.id}/view`
+            }));
+        } catch (error) {
+            this.showError('Error loading assets', error);
+        }
+        this.isLoadingDrillRecords = false;
+    }
+    
+    reloadDashboard() {
         this.isLoading = true;
+        this.refreshPending = false;
         this.loadMetrics();
         this.loadAllCharts();
+        this.loadTrends();
+        if (this.showDrillRecords) {
+            this.loadDrillRecords();
+        }
+        this.updateUrlState();
     }
     
     async loadAllCharts() {
         try {
-            const filters = {
-                siteIds: this.appliedFilters.sites,
-                criticalities: this.appliedFilters.criticalities,
-                startDate: this.appliedFilters.startDate,
-                endDate: this.appliedFilters.endDate
-            };
+            const filters = this.buildFilters();
             
             const [
                 statusData, 
@@ -232,16 +910,16 @@ export default class AssetDashboard extends NavigationMixin(LightningElement) {
                 maintenanceAssetsData,
                 siteValueData
             ] = await Promise.all([
-                getAssetsByStatus(filters),
-                getAssetsByCriticality(filters),
-                getAssetsByVersionStatus(filters),
-                getAssetsByMaintenanceStatus(filters),
-                getAssetValueByCriticality(filters),
-                getMaintenanceStatusBySite(filters),
-                getAssetsByCondition(filters),
-                getTop10ExpensiveAssets(filters),
-                getAssetsNeedingMaintenance(filters),
-                getAssetValueBySite(filters)
+                getAssetsByStatus({ filters }),
+                getAssetsByCriticality({ filters: this.buildFilters('criticality') }),
+                getAssetsByVersionStatus({ filters }),
+                getAssetsByMaintenanceStatus({ filters: this.buildFilters('maintenance') }),
+                getAssetValueByCriticality({ filters: this.buildFilters('criticality') }),
+                getMaintenanceStatusBySite({ filters: this.buildFilters('maintenanceBySite') }),
+                getAssetsByCondition({ filters: this.buildFilters('condition') }),
+                getTop10ExpensiveAssets({ filters }),
+                getAssetsNeedingMaintenance({ filters }),
+                getAssetValueBySite({ filters: this.buildFilters('siteValue') })
             ]);
             
             this.prepareStatusChart(statusData);
@@ -260,6 +938,63 @@ export default class AssetDashboard extends NavigationMixin(LightningElement) {
             this.showError('Error loading charts', error);
             this.isLoading = false;
         }
+        
+        if (this.refreshPending) {
+            this.handleRefresh();
+        }
+    }
+    
+    async loadTrends() {
+        try {
+            this.trendChartConfig = await getTrendSeries({
+                dimension: this.trendDimension,
+                metric: this.trendMetric,
+                days: parseInt(this.trendRange, 10),
+                filters: this.buildFilters('trend')
+            });
+        } catch (error) {
+            this.showError('Error loading trends', error);
+        }
+    }
+    
+    /**
+     * Names of the filters and chart selections the trend chart leaves out
+     * Snapshots are summed across the org by group, so only the filter of the current group applies
+     */
+    get trendIgnoredFilters() {
+        const filters = this.buildFilters('trend');
+        const groupFilter = TREND_GROUP_FILTERS[this.trendDimension];
+        const labels = Object.keys(FILTER_LABELS)
+            .filter((param) => {
+                const value = filters[param];
+                const isSet = Array.isArray(value) ? value.length > 0 : value !== null && value !== undefined && value !== '';
+                return param !== groupFilter && isSet;
+            })
+            .map((param) => FILTER_LABELS[param]);
+        return [...new Set(labels)].join(', ');
+    }
+    
+    handleTrendRangeChange(event) {
+        this.trendRange = event.detail.value;
+        this.loadTrends();
+        this.updateUrlState();
+    }
+    
+    handleTrendMetricChange(event) {
+        this.trendMetric = event.detail.value;
+        this.loadTrends();
+        this.updateUrlState();
+    }
+    
+    handleTrendDimensionChange(event) {
+        this.trendDimension = event.detail.value;
+        this.loadTrends();
+        this.updateUrlState();
+    }
+    
+    handleTrendChartTypeChange(event) {
+        this.trendChartType = event.detail.value;
+        this.updateUrlState();
     }
     
     prepareStatusChart(data) {
@@ -453,9 +1188,35 @@ export default class AssetDashboard extends NavigationMixin(LightningElement) {
     }
     
     handleRefresh() {
-        this.isLoading = true;
-        this.loadMetrics();
-        this.loadAllCharts();
+        this.reloadDashboard();
+    }
+    
+    /**
+     * Exports a chart or table as CSV or XLSX. Widgets are named like the charts,
+     * so each export uses the same filters as the chart it was started from.
+     */
+    async handleExport(event) {
+        const widget = event.currentTarget.dataset.widget;
+        const format = event.detail.value;
+        try {
+            const file = widget === 'trend'
+                ? await exportTrend({
+                    dimension: this.trendDimension,
+                    metric: this.trendMetric,
+                    days: parseInt(this.trendRange, 10),
+                    format,
+                    filters: this.buildFilters('trend')
+                })
+                : await exportWidget({ widget, format, filters: this.buildFilters(widget) });
+            downloadExportFile(file);
+            this.dispatchEvent(new ShowToastEvent({
+                title: 'Export complete',
+                message: describeExport(file),
+                variant: file.truncated ? 'warning' : 'success'
+            }));
+        } catch (error) {
+            this.showError('Error exporting data', error);
+        }
     }
     
     // Navigation handlers
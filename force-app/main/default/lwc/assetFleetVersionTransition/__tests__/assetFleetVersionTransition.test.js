@@ -0,0 +1,339 @@
+import { setImmediate } from 'timers';
+import { createElement } from '@lwc/engine-dom';
+import { refreshApex } from '@salesforce/apex';
+import LightningConfirm from 'lightning/confirm';
+import AssetFleetVersionTransition from 'c/assetFleetVersionTransition';
+import getFleetAssets from '@salesforce/apex/AssetVersionController.getFleetAssets';
+import createPlannedVersions from '@salesforce/apex/AssetVersionController.createPlannedVersions';
+import activatePlannedVersions from '@salesforce/apex/AssetVersionController.activatePlannedVersions';
+import scheduleActivationWaves from '@salesforce/apex/AssetVersionController.scheduleActivationWaves';
+
+jest.mock('@salesforce/apex', () => ({ refreshApex: jest.fn().mockResolvedValue() }), { virtual: true });
+jest.mock('lightning/confirm', () => ({ __esModule: true, default: { open: jest.fn() } }));
+jest.mock(
+    '@salesforce/apex/AssetVersionController.getFleetAssets',
+    () => {
+        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
+        return { default: createApexTestWireAdapter(jest.fn()) };
+    },
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/AssetVersionController.createPlannedVersions',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/AssetVersionController.activatePlannedVersions',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/AssetVersionController.scheduleActivationWaves',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+const ROUTER_ID = '02i000000000001';
+const SWITCH_ID = '02i000000000002';
+const PLANNED_ROUTER_ID = '02i000000000011';
+const PLANNED_SWITCH_ID = '02i000000000012';
+const ENGINEER_ID = '005000000000001';
+
+const LIVE_ASSETS = [
+    { assetId: ROUTER_ID, name: 'Core Router', version: 'V2.1', model: 'MX480', manufacturer: 'Juniper' },
+    { assetId: SWITCH_ID, name: 'Edge Switch', version: 'V1.0', model: 'C9300', manufacturer: 'Cisco' }
+];
+
+const PLANNED_ASSETS = [
+    { assetId: PLANNED_ROUTER_ID, name: 'Core Router', version: 'V2.2' },
+    { assetId: PLANNED_SWITCH_ID, name: 'Edge Switch', version: 'V1.1' }
+];
+
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+function createRollout() {
+    const element = createElement('c-asset-fleet-version-transition', { is: AssetFleetVersionTransition });
+    document.body.appendChild(element);
+    return element;
+}
+
+function findButton(element, label) {
+    return [...element.shadowRoot.querySelectorAll('lightning-button')].find(button => button.label === label);
+}
+
+function findInput(element, name) {
+    return [...element.shadowRoot.querySelectorAll('lightning-input, lightning-combobox, lightning-textarea')].find(
+        input => input.name === name
+    );
+}
+
+function findByLabel(element, selector, label) {
+    return [...element.shadowRoot.querySelectorAll(selector)].find(component => component.label === label);
+}
+
+function findResultsTable(element) {
+    return [...element.shadowRoot.querySelectorAll('lightning-datatable')].find(table => table.hideCheckboxColumn);
+}
+
+function changeInput(input, value) {
+    input.value = value;
+    input.dispatchEvent(new CustomEvent('change'));
+}
+
+// The base component stubs don't validate, so each test decides whether its inputs are valid
+function setInputsValid(element, selector, valid) {
+    element.shadowRoot.querySelectorAll(selector).forEach(input => {
+        input.reportValidity = jest.fn().mockReturnValue(valid);
+    });
+}
+
+async function selectAssets(element, assets) {
+    element.shadowRoot.querySelector('lightning-datatable.asset-table').dispatchEvent(
+        new CustomEvent('rowselection', { detail: { selectedRows: assets } })
+    );
+    await flushPromises();
+}
+
+async function showPlannedVersions(element) {
+    element.shadowRoot.querySelector('lightning-radio-group').dispatchEvent(
+        new CustomEvent('change', { detail: { value: 'Planned' } })
+    );
+    getFleetAssets.emit(PLANNED_ASSETS);
+    await flushPromises();
+}
+
+function listenForToasts(element) {
+    const toasts = [];
+    element.addEventListener('lightning__showtoast', event => toasts.push(event.detail));
+    return toasts;
+}
+
+describe('c-asset-fleet-version-transition', () => {
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    it('lists Live assets with links and keeps the actions disabled until assets are selected', async () => {
+        const element = createRollout();
+        getFleetAssets.emit(LIVE_ASSETS);
+        await flushPromises();
+
+        expect(getFleetAssets.getLastConfig()).toEqual({ searchTerm: '', versionStatus: 'Live' });
+        const table = element.shadowRoot.querySelector('lightning-datatable.asset-table');
+        expect(table.data.map(row => row.assetUrl)).toEqual([`/${ROUTER_ID}`, `/${SWITCH_ID}`]);
+        expect(findButton(element, 'Create Planned Versions').disabled).toBe(true);
+        expect(findButton(element, 'Activate Now')).toBeUndefined();
+
+        await selectAssets(element, LIVE_ASSETS);
+
+        expect(element.shadowRoot.textContent).toContain('2 of 2 asset(s) selected');
+        expect(findButton(element, 'Create Planned Versions').disabled).toBe(false);
+    });
+
+    it('shows an empty state and load errors', async () => {
+        const element = createRollout();
+        getFleetAssets.emit([]);
+        await flushPromises();
+        expect(element.shadowRoot.textContent).toContain('No matching assets.');
+
+        getFleetAssets.error({ message: 'Insufficient access to Asset' });
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('p.slds-text-color_error').textContent).toBe('Insufficient access to Asset');
+        expect(element.shadowRoot.textContent).not.toContain('No matching assets.');
+    });
+
+    it('searches when the search is committed and clears the selection', async () => {
+        const element = createRollout();
+        getFleetAssets.emit(LIVE_ASSETS);
+        await flushPromises();
+        await selectAssets(element, LIVE_ASSETS);
+
+        const search = findByLabel(element, 'lightning-input', 'Search');
+        search.value = 'router';
+        search.dispatchEvent(new CustomEvent('commit'));
+        await flushPromises();
+
+        expect(getFleetAssets.getLastConfig()).toEqual({ searchTerm: 'router', versionStatus: 'Live' });
+        expect(element.shadowRoot.textContent).toContain('0 of 2 asset(s) selected');
+    });
+
+    it('creates planned versions by increment and reports the results', async () => {
+        createPlannedVersions.mockResolvedValue([
+            { assetId: ROUTER_ID, plannedAssetId: PLANNED_ROUTER_ID, assetName: 'Core Router', version: 'V2.2', success: true },
+            { assetId: SWITCH_ID, plannedAssetId: PLANNED_SWITCH_ID, assetName: 'Edge Switch', version: 'V1.1', success: true }
+        ]);
+        const element = createRollout();
+        const toasts = listenForToasts(element);
+        getFleetAssets.emit(LIVE_ASSETS);
+        await flushPromises();
+        await selectAssets(element, LIVE_ASSETS);
+
+        changeInput(findInput(element, 'versionNotes'), 'Firmware 9.4');
+        changeInput(findInput(element, 'goLiveDate'), '2030-01-15');
+        element.shadowRoot.querySelector('lightning-record-picker').dispatchEvent(
+            new CustomEvent('change', { detail: { recordId: ENGINEER_ID } })
+        );
+        await flushPromises();
+        setInputsValid(element, '.create-input', true);
+        findButton(element, 'Create Planned Versions').click();
+        await flushPromises();
+
+        expect(createPlannedVersions).toHaveBeenCalledWith({
+            assetIds: [ROUTER_ID, SWITCH_ID],
+            options: {
+                increment: 'minor',
+                newVersion: null,
+                versionNotes: 'Firmware 9.4',
+                goLiveDate: '2030-01-15',
+                assignedEngineerId: ENGINEER_ID
+            }
+        });
+        expect(element.shadowRoot.textContent).toContain('Planned Versions: 2 succeeded, 0 failed');
+        const results = findResultsTable(element);
+        expect(results.data.map(row => row.assetUrl)).toEqual([`/${PLANNED_ROUTER_ID}`, `/${PLANNED_SWITCH_ID}`]);
+        expect(results.data.map(row => row.outcome)).toEqual(['Success', 'Success']);
+        expect(toasts).toEqual([{ title: 'Planned Versions Completed', message: '2 asset(s) processed.', variant: 'success' }]);
+        expect(refreshApex).toHaveBeenCalled();
+        expect(element.shadowRoot.textContent).toContain('0 of 2 asset(s) selected');
+    });
+
+    it('creates planned versions with one version number for every asset', async () => {
+        createPlannedVersions.mockResolvedValue([]);
+        const element = createRollout();
+        getFleetAssets.emit(LIVE_ASSETS);
+        await flushPromises();
+        await selectAssets(element, [LIVE_ASSETS[0]]);
+
+        findByLabel(element, 'lightning-radio-group', 'New Version').dispatchEvent(
+            new CustomEvent('change', { detail: { value: 'version' } })
+        );
+        await flushPromises();
+        expect(findInput(element, 'increment')).toBeUndefined();
+        changeInput(findInput(element, 'newVersion'), 'V3.0');
+        setInputsValid(element, '.create-input', true);
+        findButton(element, 'Create Planned Versions').click();
+        await flushPromises();
+
+        expect(createPlannedVersions).toHaveBeenCalledWith({
+            assetIds: [ROUTER_ID],
+            options: expect.objectContaining({ increment: null, newVersion: 'V3.0' })
+        });
+    });
+
+    it('does not create planned versions while the form is invalid', async () => {
+        const element = createRollout();
+        getFleetAssets.emit(LIVE_ASSETS);
+        await flushPromises();
+        await selectAssets(element, LIVE_ASSETS);
+
+        setInputsValid(element, '.create-input', false);
+        findButton(element, 'Create Planned Versions').click();
+        await flushPromises();
+
+        expect(createPlannedVersions).not.toHaveBeenCalled();
+    });
+
+    it('warns when some assets fail and shows why', async () => {
+        createPlannedVersions.mockResolvedValue([
+            { assetId: ROUTER_ID, plannedAssetId: PLANNED_ROUTER_ID, assetName: 'Core Router', success: true },
+            { assetId: SWITCH_ID, assetName: 'Edge Switch', success: false, message: 'A planned version already exists.' }
+        ]);
+        const element = createRollout();
+        const toasts = listenForToasts(element);
+        getFleetAssets.emit(LIVE_ASSETS);
+        await flushPromises();
+        await selectAssets(element, LIVE_ASSETS);
+
+        setInputsValid(element, '.create-input', true);
+        findButton(element, 'Create Planned Versions').click();
+        await flushPromises();
+
+        const results = findResultsTable(element);
+        expect(results.data[1]).toEqual(expect.objectContaining({
+            assetUrl: `/${SWITCH_ID}`,
+            outcome: 'Failed',
+            outcomeIcon: 'utility:error',
+            message: 'A planned version already exists.'
+        }));
+        expect(element.shadowRoot.textContent).toContain('Planned Versions: 1 succeeded, 1 failed');
+        expect(toasts).toEqual([{
+            title: 'Planned Versions Partially Completed',
+            message: '1 of 2 asset(s) failed. See the results below.',
+            variant: 'warning'
+        }]);
+    });
+
+    it('shows an error toast when the bulk action fails outright', async () => {
+        createPlannedVersions.mockRejectedValue({ body: { message: 'Too many assets selected.' } });
+        const element = createRollout();
+        const toasts = listenForToasts(element);
+        getFleetAssets.emit(LIVE_ASSETS);
+        await flushPromises();
+        await selectAssets(element, LIVE_ASSETS);
+
+        setInputsValid(element, '.create-input', true);
+        findButton(element, 'Create Planned Versions').click();
+        await flushPromises();
+
+        expect(toasts).toEqual([{ title: 'Error', message: 'Too many assets selected.', variant: 'error' }]);
+        expect(findResultsTable(element)).toBeUndefined();
+        expect(findButton(element, 'Create Planned Versions').disabled).toBe(false);
+    });
+
+    it('activates the selected planned versions only after confirmation', async () => {
+        activatePlannedVersions.mockResolvedValue([
+            { assetId: PLANNED_ROUTER_ID, assetName: 'Core Router', success: true }
+        ]);
+        const element = createRollout();
+        getFleetAssets.emit(LIVE_ASSETS);
+        await flushPromises();
+        await showPlannedVersions(element);
+
+        expect(getFleetAssets.getLastConfig()).toEqual({ searchTerm: '', versionStatus: 'Planned' });
+        expect(findButton(element, 'Create Planned Versions')).toBeUndefined();
+        await selectAssets(element, [PLANNED_ASSETS[0]]);
+
+        LightningConfirm.open.mockResolvedValue(false);
+        findButton(element, 'Activate Now').click();
+        await flushPromises();
+        expect(LightningConfirm.open).toHaveBeenCalledWith(expect.objectContaining({ label: 'Activate Planned Versions' }));
+        expect(activatePlannedVersions).not.toHaveBeenCalled();
+
+        LightningConfirm.open.mockResolvedValue(true);
+        findButton(element, 'Activate Now').click();
+        await flushPromises();
+        expect(activatePlannedVersions).toHaveBeenCalledWith({ plannedAssetIds: [PLANNED_ROUTER_ID] });
+        expect(element.shadowRoot.textContent).toContain('Activation: 1 succeeded, 0 failed');
+    });
+
+    it('schedules activation waves with whole-number settings', async () => {
+        scheduleActivationWaves.mockResolvedValue([
+            { assetId: PLANNED_ROUTER_ID, assetName: 'Core Router', success: true, wave: 1, goLiveDate: '2030-02-01' },
+            { assetId: PLANNED_SWITCH_ID, assetName: 'Edge Switch', success: true, wave: 2, goLiveDate: '2030-02-04' }
+        ]);
+        const element = createRollout();
+        getFleetAssets.emit(LIVE_ASSETS);
+        await flushPromises();
+        await showPlannedVersions(element);
+        await selectAssets(element, PLANNED_ASSETS);
+
+        changeInput(findInput(element, 'waveSize'), '1');
+        changeInput(findInput(element, 'firstGoLiveDate'), '2030-02-01');
+        changeInput(findInput(element, 'daysBetweenWaves'), '3');
+        setInputsValid(element, '.wave-input', true);
+        findButton(element, 'Schedule Waves').click();
+        await flushPromises();
+
+        expect(scheduleActivationWaves).toHaveBeenCalledWith({
+            plannedAssetIds: [PLANNED_ROUTER_ID, PLANNED_SWITCH_ID],
+            waveSize: 1,
+            firstGoLiveDate: '2030-02-01',
+            daysBetweenWaves: 3
+        });
+        expect(element.shadowRoot.textContent).toContain('Wave Schedule: 2 succeeded, 0 failed');
+    });
+});
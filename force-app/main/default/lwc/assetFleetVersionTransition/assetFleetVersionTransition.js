@@ -0,0 +1,308 @@
+import { LightningElement, wire } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import { refreshApex } from '@salesforce/apex';
+import LightningConfirm from 'lightning/confirm';
+import getFleetAssets from '@salesforce/apex/AssetVersionController.getFleetAssets';
+import createPlannedVersions from '@salesforce/apex/AssetVersionController.createPlannedVersions';
+import activatePlannedVersions from '@salesforce/apex/AssetVersionController.activatePlannedVersions';
+import scheduleActivationWaves from '@salesforce/apex/AssetVersionController.scheduleActivationWaves';
+
+const ASSET_COLUMNS = [
+    {
+        label: 'Asset',
+        fieldName: 'assetUrl',
+        type: 'url',
+        typeAttributes: { label: { fieldName: 'name' }, target: '_blank' }
+    },
+    { label: 'Version', fieldName: 'version', initialWidth: 110 },
+    { label: 'Model', fieldName: 'model' },
+    { label: 'Manufacturer', fieldName: 'manufacturer' },
+    { label: 'Account', fieldName: 'accountName' },
+    { label: 'Go-Live Date', fieldName: 'plannedGoLiveDate', type: 'date-local', initialWidth: 130 },
+    { label: 'Go-Live Error', fieldName: 'goLiveError', wrapText: true }
+];
+
+const RESULT_COLUMNS = [
+    {
+        label: 'Asset',
+        fieldName: 'assetUrl',
+        type: 'url',
+        typeAttributes: { label: { fieldName: 'assetName' }, target: '_blank' }
+    },
+    { label: 'Version', fieldName: 'version', initialWidth: 110 },
+    {
+        label: 'Result',
+        fieldName: 'outcome',
+        initialWidth: 110,
+        cellAttributes: { iconName: { fieldName: 'outcomeIcon' } }
+    },
+    { label: 'Wave', fieldName: 'wave', type: 'number', initialWidth: 80 },
+    { label: 'Go-Live Date', fieldName: 'goLiveDate', type: 'date-local', initialWidth: 130 },
+    { label: 'Details', fieldName: 'message', wrapText: true }
+];
+
+const STATUS_OPTIONS = [
+    { label: 'Live Assets', value: 'Live' },
+    { label: 'Planned Versions', value: 'Planned' }
+];
+
+const VERSION_MODE_OPTIONS = [
+    { label: 'Increment each asset\'s version', value: 'increment' },
+    { label: 'Same version for every asset', value: 'version' }
+];
+
+const INCREMENT_OPTIONS = [
+    { label: 'Major (e.g. 2.1 → 3.0)', value: 'major' },
+    { label: 'Minor (e.g. 2.1 → 2.2)', value: 'minor' },
+    { label: 'Patch (e.g. 2.1 → 2.1.1)', value: 'patch' }
+];
+
+/**
+ * Bulk form of the Manage Version action: creates planned versions for many Live assets
+ * at once, then activates the planned versions together or stages their go-live in waves,
+ * reporting the outcome per asset
+ */
+export default class AssetFleetVersionTransition extends LightningElement {
+    assetColumns = ASSET_COLUMNS;
+    resultColumns = RESULT_COLUMNS;
+    statusOptions = STATUS_OPTIONS;
+    versionModeOptions = VERSION_MODE_OPTIONS;
+    incrementOptions = INCREMENT_OPTIONS;
+
+    // Asset list
+    versionStatus = 'Live';
+    searchTerm = '';
+    assets = [];
+    assetsError;
+    isLoadingAssets = true;
+    selectedAssetIds = [];
+    wiredAssetsResult;
+
+    // Create planned versions
+    versionMode = 'increment';
+    createForm = {
+        increment: 'minor',
+        newVersion: '',
+        versionNotes: '',
+        goLiveDate: null,
+        assignedEngineerId: null
+    };
+
+    // Schedule waves
+    waveForm = {
+        waveSize: 10,
+        firstGoLiveDate: null,
+        daysBetweenWaves: 7
+    };
+
+    // Outcome of the last bulk action
+    results = [];
+    resultsTitle = '';
+    isProcessing = false;
+
+    @wire(getFleetAssets, { searchTerm: '$searchTerm', versionStatus: '$versionStatus' })
+    wiredAssets(result) {
+        this.wiredAssetsResult = result;
+        const { error, data } = result;
+        if (data) {
+            this.assets = data.map(asset => ({
+                ...asset,
+                assetUrl: `/${asset.assetId}`
+            }));
+            this.assetsError = undefined;
+            this.isLoadingAssets = false;
+        } else if (error) {
+            this.assetsError = error.body ? error.body.message : error.message;
+            this.assets = [];
+            this.isLoadingAssets = false;
+        }
+    }
+
+    get isLiveView() {
+        return this.versionStatus === 'Live';
+    }
+
+    get isPlannedView() {
+        return this.versionStatus === 'Planned';
+    }
+
+    get hasAssets() {
+        return this.assets.length > 0;
+    }
+
+    get showNoAssets() {
+        return !this.isLoadingAssets && !this.assetsError && !this.hasAssets;
+    }
+
+    get assetSummary() {
+        return `${this.selectedAssetIds.length} of ${this.assets.length} asset(s) selected`;
+    }
+
+    get isIncrementMode() {
+        return this.versionMode === 'increment';
+    }
+
+    get isActionDisabled() {
+        return this.isProcessing || this.selectedAssetIds.length === 0;
+    }
+
+    get hasResults() {
+        return this.results.length > 0;
+    }
+
+    get today() {
+        const now = new Date();
+        const month = String(now.getMonth() + 1).padStart(2, '0');
+        const day = String(now.getDate()).padStart(2, '0');
+        return `${now.getFullYear()}-${month}-${day}`;
+    }
+
+    handleStatusChange(event) {
+        this.versionStatus = event.detail.value;
+        this.resetSelection();
+    }
+
+    /**
+     * Applies the search when the user presses Enter or clears the box
+     */
+    handleSearchCommit(event) {
+        this.searchTerm = event.target.value;
+        this.resetSelection();
+    }
+
+    handleRowSelection(event) {
+        this.selectedAssetIds = event.detail.selectedRows.map(row => row.assetId);
+    }
+
+    handleVersionModeChange(event) {
+        this.versionMode = event.detail.value;
+    }
+
+    handleCreateFormChange(event) {
+        const { name, value } = event.target;
+        this.createForm = { ...this.createForm, [name]: value };
+    }
+
+    handleEngineerChange(event) {
+        this.createForm = { ...this.createForm, assignedEngineerId: event.detail.recordId };
+    }
+
+    handleWaveFormChange(event) {
+        const { name, value } = event.target;
+        this.waveForm = { ...this.waveForm, [name]: value };
+    }
+
+    /**
+     * Creates a planned version of every selected Live asset
+     */
+    async handleCreate() {
+        if (!this.validateInputs('.create-input')) {
+            return;
+        }
+
+        const options = {
+            increment: this.isIncrementMode ? this.createForm.increment : null,
+            newVersion: this.isIncrementMode ? null : this.createForm.newVersion,
+            versionNotes: this.createForm.versionNotes,
+            goLiveDate: this.createForm.goLiveDate,
+            assignedEngineerId: this.createForm.assignedEngineerId
+        };
+        await this.runBulkAction(
+            'Planned Versions',
+            () => createPlannedVersions({ assetIds: this.selectedAssetIds, options })
+        );
+    }
+
+    /**
+     * Activates every selected planned version now, superseding the assets they replace
+     */
+    async handleActivate() {
+        const confirmed = await LightningConfirm.open({
+            message: `Activate ${this.selectedAssetIds.length} planned version(s) now? Each one goes Live and ` +
+                     'supersedes the asset it was created from.',
+            variant: 'header',
+            theme: 'warning',
+            label: 'Activate Planned Versions'
+        });
+        if (!confirmed) {
+            return;
+        }
+
+        await this.runBulkAction(
+            'Activation',
+            () => activatePlannedVersions({ plannedAssetIds: this.selectedAssetIds })
+        );
+    }
+
+    /**
+     * Stages the go-live of the selected planned versions in waves; the scheduled
+     * go-live job activates each wave on its date
+     */
+    async handleScheduleWaves() {
+        if (!this.validateInputs('.wave-input')) {
+            return;
+        }
+
+        await this.runBulkAction(
+            'Wave Schedule',
+            () => scheduleActivationWaves({
+                plannedAssetIds: this.selectedAssetIds,
+                waveSize: parseInt(this.waveForm.waveSize, 10),
+                firstGoLiveDate: this.waveForm.firstGoLiveDate,
+                daysBetweenWaves: parseInt(this.waveForm.daysBetweenWaves, 10)
+            })
+        );
+    }
+
+    /**
+     * Runs a bulk action, shows its per-asset results and reloads the asset list
+     */
+    async runBulkAction(title, action) {
+        this.isProcessing = true;
+
+        try {
+            const results = await action();
+            this.results = results.map(result => ({
+                ...result,
+                assetUrl: `/${result.plannedAssetId || result.assetId}`,
+                outcome: result.success ? 'Success' : 'Failed',
+                outcomeIcon: result.success ? 'utility:success' : 'utility:error'
+            }));
+
+            const failed = results.filter(result => !result.success).length;
+            this.resultsTitle = `${title}: ${results.length - failed} succeeded, ${failed} failed`;
+            if (failed > 0) {
+                this.showToast(`${title} Partially Completed`, `${failed} of ${results.length} asset(s) failed. See the results below.`, 'warning');
+            } else {
+                this.showToast(`${title} Completed`, `${results.length} asset(s) processed.`, 'success');
+            }
+
+            this.resetSelection();
+            await refreshApex(this.wiredAssetsResult);
+        } catch (error) {
+            const errorMessage = error.body ? error.body.message : error.message;
+            this.showToast('Error', errorMessage, 'error');
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    validateInputs(selector) {
+        return [...this.template.querySelectorAll(selector)].reduce(
+            (valid, input) => input.reportValidity() && valid,
+            true
+        );
+    }
+
+    resetSelection() {
+        this.selectedAssetIds = [];
+        const table = this.template.querySelector('lightning-datatable.asset-table');
+        if (table) {
+            table.selectedRows = [];
+        }
+    }
+
+    showToast(title, message, variant) {
+        this.dispatchEvent(new ShowToastEvent({ title, message, variant }));
+    }
+}
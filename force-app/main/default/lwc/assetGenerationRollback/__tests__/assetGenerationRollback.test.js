@@ -0,0 +1,147 @@
+import { setImmediate } from 'timers';
+import { createElement } from '@lwc/engine-dom';
+import AssetGenerationRollback from 'c/assetGenerationRollback';
+import getGenerationRun from '@salesforce/apex/AssetGenerationRollbackService.getGenerationRun';
+import rollbackGeneration from '@salesforce/apex/AssetGenerationRollbackService.rollbackGeneration';
+
+jest.mock(
+    '@salesforce/apex/AssetGenerationRollbackService.getGenerationRun',
+    () => {
+        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
+        return { default: createApexTestWireAdapter(jest.fn()) };
+    },
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/AssetGenerationRollbackService.rollbackGeneration',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    'lightning/actions',
+    () => ({
+        CloseActionScreenEvent: class extends CustomEvent {
+            constructor() {
+                super('close');
+            }
+        }
+    }),
+    { virtual: true }
+);
+
+const COMPLETED_RUN = {
+    Id: 'a0J000000000001',
+    Name: 'GEN-0001',
+    Status__c: 'Completed',
+    Assets_Created__c: 3,
+    Asset_Template__r: { Name: 'Vehicle Template' }
+};
+
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+function createRollback() {
+    const element = createElement('c-asset-generation-rollback', { is: AssetGenerationRollback });
+    element.recordId = '02i000000000001';
+    document.body.appendChild(element);
+    return element;
+}
+
+function getRollbackButton(element) {
+    return [...element.shadowRoot.querySelectorAll('lightning-button')].find(button => button.label === 'Roll Back Run');
+}
+
+async function confirm(element) {
+    const checkbox = element.shadowRoot.querySelector('lightning-input');
+    checkbox.checked = true;
+    checkbox.dispatchEvent(new CustomEvent('change'));
+    await flushPromises();
+}
+
+describe('c-asset-generation-rollback', () => {
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    it('explains that an asset without a generation run has nothing to roll back', async () => {
+        const element = createRollback();
+        getGenerationRun.emit(null);
+        await flushPromises();
+
+        expect(element.shadowRoot.textContent).toContain('not created by a recorded generation run');
+        expect(getRollbackButton(element).disabled).toBe(true);
+    });
+
+    it('refuses runs that are already rolled back or still in progress', async () => {
+        const element = createRollback();
+        getGenerationRun.emit({ ...COMPLETED_RUN, Status__c: 'Rolled Back' });
+        await flushPromises();
+
+        expect(element.shadowRoot.textContent).toContain('already been rolled back');
+        expect(element.shadowRoot.querySelector('lightning-input')).toBeNull();
+        expect(getRollbackButton(element).disabled).toBe(true);
+
+        getGenerationRun.emit({ ...COMPLETED_RUN, Status__c: 'Processing' });
+        await flushPromises();
+
+        expect(element.shadowRoot.textContent).toContain('still in progress');
+    });
+
+    it('rolls the run back once confirmed and closes the action', async () => {
+        rollbackGeneration.mockResolvedValue({ assetsDeleted: 3, maintenancePlansDeleted: 1, jobName: 'GEN-0001' });
+        const element = createRollback();
+        const toastHandler = jest.fn();
+        const closeHandler = jest.fn();
+        element.addEventListener('lightning__showtoast', toastHandler);
+        element.addEventListener('close', closeHandler);
+        getGenerationRun.emit(COMPLETED_RUN);
+        await flushPromises();
+
+        expect(element.shadowRoot.textContent).toContain('Vehicle Template');
+        expect(getRollbackButton(element).disabled).toBe(true);
+
+        await confirm(element);
+        expect(getRollbackButton(element).disabled).toBe(false);
+
+        getRollbackButton(element).click();
+        await flushPromises();
+
+        expect(rollbackGeneration).toHaveBeenCalledWith({ jobId: COMPLETED_RUN.Id });
+        expect(toastHandler.mock.calls[0][0].detail.message).toBe(
+            'Deleted 3 asset(s) and 1 maintenance plan(s) from GEN-0001.'
+        );
+        expect(closeHandler).toHaveBeenCalled();
+    });
+
+    it('shows why the server refused the rollback and stays open', async () => {
+        rollbackGeneration.mockRejectedValue({ body: { message: 'GEN-0001-VEHICLE-0002 was modified after generation.' } });
+        const element = createRollback();
+        const toastHandler = jest.fn();
+        const closeHandler = jest.fn();
+        element.addEventListener('lightning__showtoast', toastHandler);
+        element.addEventListener('close', closeHandler);
+        getGenerationRun.emit(COMPLETED_RUN);
+        await flushPromises();
+        await confirm(element);
+
+        getRollbackButton(element).click();
+        await flushPromises();
+
+        const toast = toastHandler.mock.calls[0][0].detail;
+        expect(toast.title).toBe('Rollback Refused');
+        expect(toast.variant).toBe('error');
+        expect(toast.message).toContain('was modified after generation');
+        expect(closeHandler).not.toHaveBeenCalled();
+        expect(getRollbackButton(element).disabled).toBe(false);
+    });
+
+    it('shows an error when the run cannot be loaded', async () => {
+        const element = createRollback();
+        getGenerationRun.error({ message: 'Insufficient access' });
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('p.slds-text-color_error').textContent).toBe('Insufficient access');
+    });
+});
@@ -0,0 +1,118 @@
+import { LightningElement, api, wire } from 'lwc';
+import { CloseActionScreenEvent } from 'lightning/actions';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import { NavigationMixin } from 'lightning/navigation';
+import getGenerationRun from '@salesforce/apex/AssetGenerationRollbackService.getGenerationRun';
+import rollbackGeneration from '@salesforce/apex/AssetGenerationRollbackService.rollbackGeneration';
+
+const ROLLED_BACK_STATUS = 'Rolled Back';
+const IN_PROGRESS_STATUSES = ['Queued', 'Processing'];
+
+/**
+ * Quick action that undoes the generation run an asset was created by
+ * Deletes every asset from the run, with components and MaintenancePlans;
+ * the server refuses when any of them has been modified or has work orders
+ */
+export default class AssetGenerationRollback extends NavigationMixin(LightningElement) {
+    @api recordId;
+
+    isLoading = true;
+    isConfirmed = false;
+    run;
+    error;
+
+    @wire(getGenerationRun, { assetId: '$recordId' })
+    wiredRun({ error, data }) {
+        if (data !== undefined) {
+            this.run = data;
+            this.error = undefined;
+            this.isLoading = false;
+        } else if (error) {
+            this.error = error.body ? error.body.message : error.message;
+            this.isLoading = false;
+        }
+    }
+
+    /**
+     * Determines if the asset was created by a recorded generation run
+     */
+    get hasRun() {
+        return !this.isLoading && !this.error && this.run !== null && this.run !== undefined;
+    }
+
+    /**
+     * Determines if the asset has no generation run to roll back
+     */
+    get showNoRun() {
+        return !this.isLoading && !this.error && !this.hasRun;
+    }
+
+    /**
+     * Explains why the run cannot be rolled back, if its status rules it out
+     */
+    get statusMessage() {
+        if (!this.hasRun) {
+            return '';
+        }
+        if (this.run.Status__c === ROLLED_BACK_STATUS) {
+            return 'This run has already been rolled back.';
+        }
+        if (IN_PROGRESS_STATUSES.includes(this.run.Status__c)) {
+            return 'This run is still in progress. Wait for it to finish before rolling it back.';
+        }
+        return '';
+    }
+
+    /**
+     * Name of the template the run generated from
+     */
+    get templateName() {
+        return this.run && this.run.Asset_Template__r ? this.run.Asset_Template__r.Name : '';
+    }
+
+    get isRollbackDisabled() {
+        return this.isLoading || !this.hasRun || !this.isConfirmed || this.statusMessage !== '';
+    }
+
+    handleConfirmCheck(event) {
+        this.isConfirmed = event.target.checked;
+    }
+
+    /**
+     * Rolls the run back, then leaves the deleted asset for the Assets list
+     */
+    async handleRollback() {
+        this.isLoading = true;
+
+        try {
+            const result = await rollbackGeneration({ jobId: this.run.Id });
+            this.showToast(
+                'Generation Run Rolled Back',
+                `Deleted ${result.assetsDeleted} asset(s) and ${result.maintenancePlansDeleted} maintenance plan(s) from ${result.jobName}.`,
+                'success'
+            );
+
+            this.dispatchEvent(new CloseActionScreenEvent());
+            this[NavigationMixin.Navigate]({
+                type: 'standard__objectPage',
+                attributes: {
+                    objectApiName: 'Asset',
+                    actionName: 'list'
+                }
+            });
+        } catch (error) {
+            const errorMessage = error.body ? error.body.message : error.message;
+            this.showToast('Rollback Refused', errorMessage, 'error');
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    closeModal() {
+        this.dispatchEvent(new CloseActionScreenEvent());
+    }
+
+    showToast(title, message, variant) {
+        this.dispatchEvent(new ShowToastEvent({ title, message, variant }));
+    }
+}
@@ -0,0 +1,247 @@
+import { setImmediate } from 'timers';
+import { createElement } from '@lwc/engine-dom';
+import LightningConfirm from 'lightning/confirm';
+import AssetHierarchyReport from 'c/assetHierarchyReport';
+import getRootNodes from '@salesforce/apex/AssetHierarchyReportController.getRootNodes';
+import getChildNodes from '@salesforce/apex/AssetHierarchyReportController.getChildNodes';
+import getHierarchyStats from '@salesforce/apex/AssetHierarchyReportController.getHierarchyStats';
+import moveAssets from '@salesforce/apex/AssetHierarchyReportController.moveAssets';
+
+jest.mock('lightning/confirm', () => ({ __esModule: true, default: { open: jest.fn() } }));
+
+jest.mock(
+    '@salesforce/apex/AssetHierarchyReportController.getRootNodes',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/AssetHierarchyReportController.getChildNodes',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/AssetHierarchyReportController.getHierarchyStats',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/AssetHierarchyReportController.exportHierarchy',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/AssetHierarchyReportController.moveAssets',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+// Rack > Server > Drive
+const RACK = { id: 'a01', name: 'Rack-01', childCount: 1 };
+const SERVER = { id: 'a02', parentId: 'a01', name: 'Server-01', childCount: 1 };
+const DRIVE = { id: 'a03', parentId: 'a02', name: 'Drive-01', childCount: 0 };
+const SPARE_RACK = { id: 'a04', name: 'Rack-02', childCount: 0 };
+const NEW_PARENT_ID = 'a09';
+
+// Runs after every pending promise chain, including the per-level loads
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+function createReport() {
+    const element = createElement('c-asset-hierarchy-report', { is: AssetHierarchyReport });
+    document.body.appendChild(element);
+    return element;
+}
+
+function getButton(element, label) {
+    return [...element.shadowRoot.querySelectorAll('lightning-button')].find(button => button.label === label);
+}
+
+async function openMoveForRow(element, rowIndex) {
+    const treeGrid = element.shadowRoot.querySelector('lightning-tree-grid');
+    treeGrid.dispatchEvent(new CustomEvent('rowaction', {
+        detail: { action: { name: 'move' }, row: treeGrid.data[rowIndex] }
+    }));
+    await flushPromises();
+}
+
+async function pickNewParent(element, recordId) {
+    element.shadowRoot.querySelector('lightning-record-picker').dispatchEvent(
+        new CustomEvent('change', { detail: { recordId } })
+    );
+    await flushPromises();
+}
+
+describe('c-asset-hierarchy-report', () => {
+    beforeEach(() => {
+        getRootNodes.mockResolvedValue([RACK]);
+        getHierarchyStats.mockResolvedValue({});
+        getChildNodes.mockImplementation(({ parentIds }) =>
+            Promise.resolve([SERVER, DRIVE].filter(node => parentIds.includes(node.parentId)))
+        );
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    it('loads every level one call at a time and expands all rows on Expand All', async () => {
+        const element = createReport();
+        await flushPromises();
+
+        getButton(element, 'Expand All').click();
+        await flushPromises();
+
+        expect(getChildNodes).toHaveBeenCalledTimes(2);
+        expect(getChildNodes.mock.calls[0][0].parentIds).toEqual(['a01']);
+        expect(getChildNodes.mock.calls[1][0].parentIds).toEqual(['a02']);
+
+        const treeGrid = element.shadowRoot.querySelector('lightning-tree-grid');
+        expect(treeGrid.expandedRows).toEqual(['a01', 'a02']);
+        const rack = treeGrid.data[0];
+        expect(rack._children[0].name).toBe('Server-01');
+        expect(rack._children[0]._children[0].name).toBe('Drive-01');
+    });
+
+    it('does not reload levels that are already loaded', async () => {
+        const element = createReport();
+        await flushPromises();
+
+        getButton(element, 'Expand All').click();
+        await flushPromises();
+        getButton(element, 'Expand All').click();
+        await flushPromises();
+
+        expect(getChildNodes).toHaveBeenCalledTimes(2);
+    });
+
+    it('shows a toast and stops expanding when a level fails to load', async () => {
+        getChildNodes.mockRejectedValue({ body: { message: 'Query limit reached' } });
+        const element = createReport();
+        await flushPromises();
+        const toastHandler = jest.fn();
+        element.addEventListener('lightning__showtoast', toastHandler);
+
+        getButton(element, 'Expand All').click();
+        await flushPromises();
+
+        expect(toastHandler).toHaveBeenCalledTimes(1);
+        expect(toastHandler.mock.calls[0][0].detail.message).toBe('Query limit reached');
+        expect(element.shadowRoot.querySelector('lightning-tree-grid').expandedRows).toEqual([]);
+        expect(getButton(element, 'Expand All').disabled).toBe(false);
+    });
+
+    describe('moving assets', () => {
+        beforeEach(() => {
+            getRootNodes.mockResolvedValue([RACK, SPARE_RACK]);
+            moveAssets.mockResolvedValue();
+            LightningConfirm.open.mockResolvedValue(true);
+        });
+
+        it('moves a row under the picked parent and reloads the tree', async () => {
+            const element = createReport();
+            await flushPromises();
+            const toastHandler = jest.fn();
+            element.addEventListener('lightning__showtoast', toastHandler);
+
+            await openMoveForRow(element, 0);
+
+            expect(element.shadowRoot.querySelector('h3').textContent).toBe('Move Rack-01');
+            expect(element.shadowRoot.querySelector('lightning-record-picker').filter).toEqual({
+                criteria: [{ fieldPath: 'Id', operator: 'nin', value: ['a01'] }]
+            });
+            expect(getButton(element, 'Move').disabled).toBe(true);
+
+            await pickNewParent(element, NEW_PARENT_ID);
+            expect(getButton(element, 'Move').disabled).toBe(false);
+            getButton(element, 'Move').click();
+            await flushPromises();
+
+            expect(LightningConfirm.open).toHaveBeenCalledWith(expect.objectContaining({
+                message: 'Move Rack-01 to the selected parent? Everything below them moves with them.'
+            }));
+            expect(moveAssets).toHaveBeenCalledWith({ assetIds: ['a01'], newParentId: NEW_PARENT_ID });
+            expect(toastHandler.mock.calls[0][0].detail).toEqual(
+                expect.objectContaining({ message: 'Moved Rack-01', variant: 'success' })
+            );
+            expect(getRootNodes).toHaveBeenCalledTimes(2);
+            expect(getHierarchyStats).toHaveBeenCalledTimes(2);
+            expect(element.shadowRoot.querySelector('lightning-record-picker')).toBeNull();
+        });
+
+        it('moves the selected rows to the top level', async () => {
+            const element = createReport();
+            await flushPromises();
+            expect(getButton(element, 'Move Selected…').disabled).toBe(true);
+
+            const treeGrid = element.shadowRoot.querySelector('lightning-tree-grid');
+            treeGrid.dispatchEvent(new CustomEvent('rowselection', {
+                detail: { selectedRows: treeGrid.data }
+            }));
+            await flushPromises();
+            getButton(element, 'Move Selected…').click();
+            await flushPromises();
+            expect(element.shadowRoot.querySelector('h3').textContent).toBe('Move 2 assets');
+
+            await pickNewParent(element, NEW_PARENT_ID);
+            const topLevel = element.shadowRoot.querySelector('lightning-input');
+            topLevel.checked = true;
+            topLevel.dispatchEvent(new CustomEvent('change'));
+            await flushPromises();
+
+            const picker = element.shadowRoot.querySelector('lightning-record-picker');
+            expect(picker.disabled).toBe(true);
+            expect(picker.value).toBeNull();
+            getButton(element, 'Move').click();
+            await flushPromises();
+
+            expect(LightningConfirm.open).toHaveBeenCalledWith(expect.objectContaining({
+                message: 'Move 2 assets to the top level? Everything below them moves with them.'
+            }));
+            expect(moveAssets).toHaveBeenCalledWith({ assetIds: ['a01', 'a04'], newParentId: null });
+        });
+
+        it('does not move anything when the move is not confirmed or is cancelled', async () => {
+            LightningConfirm.open.mockResolvedValue(false);
+            const element = createReport();
+            await flushPromises();
+
+            await openMoveForRow(element, 1);
+            await pickNewParent(element, NEW_PARENT_ID);
+            getButton(element, 'Move').click();
+            await flushPromises();
+
+            expect(moveAssets).not.toHaveBeenCalled();
+            expect(element.shadowRoot.querySelector('h3').textContent).toBe('Move Rack-02');
+
+            getButton(element, 'Cancel').click();
+            await flushPromises();
+            expect(element.shadowRoot.querySelector('lightning-record-picker')).toBeNull();
+        });
+
+        it('keeps the move open and shows the server error when the move is rejected', async () => {
+            moveAssets.mockRejectedValue({
+                body: { message: 'Cannot set parent: This would create a circular reference in the asset hierarchy.' }
+            });
+            const element = createReport();
+            await flushPromises();
+            const toastHandler = jest.fn();
+            element.addEventListener('lightning__showtoast', toastHandler);
+
+            await openMoveForRow(element, 0);
+            await pickNewParent(element, NEW_PARENT_ID);
+            getButton(element, 'Move').click();
+            await flushPromises();
+
+            expect(toastHandler.mock.calls[0][0].detail).toEqual(expect.objectContaining({
+                title: 'Error moving assets',
+                message: 'Cannot set parent: This would create a circular reference in the asset hierarchy.',
+                variant: 'error'
+            }));
+            expect(getRootNodes).toHaveBeenCalledTimes(1);
+            expect(element.shadowRoot.querySelector('h3').textContent).toBe('Move Rack-01');
+            expect(getButton(element, 'Move').disabled).toBe(false);
+        });
+    });
+});
@@ -1,12 +1,18 @@
 import { LightningElement, track } from 'lwc';
-import getAssetHierarchy from '@salesforce/apex/AssetHierarchyReportController.getAssetHierarchy';
+import getRootNodes from '@salesforce/apex/AssetHierarchyReportController.getRootNodes';
+import getChildNodes from '@salesforce/apex/AssetHierarchyReportController.getChildNodes';
 import getHierarchyStats from '@salesforce/apex/AssetHierarchyReportController.getHierarchyStats';
-import exportHierarchyToCSV from '@salesforce/apex/AssetHierarchyReportController.exportHierarchyToCSV';
+import exportHierarchy from '@salesforce/apex/AssetHierarchyReportController.exportHierarchy';
+import moveAssets from '@salesforce/apex/AssetHierarchyReportController.moveAssets';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import LightningConfirm from 'lightning/confirm';
 import { NavigationMixin } from 'lightning/navigation';
+import { downloadExportFile, describeExport } from 'c/exportFile';
 
 export default class AssetHierarchyReport extends NavigationMixin(LightningElement) {
+    // Tree grid rows; a row with unloaded children has an empty _children array
     @track hierarchyData = [];
+    @track expandedRows = [];
     @track stats = {
         totalParents: 0,
         totalChildren: 0,
@@ -15,10 +21,21 @@ export default class AssetHierarchyReport extends NavigationMixin(LightningEleme
         assetsRequiringAttention: 0
     };
     @track isLoading = true;
+    @track isExpanding = false;
     @track error;
     @track siteFilter = '';
     @track statusFilter = '';
-    @track expandedRows = new Set();
+
+    // Rows by ID, so lazily loaded children can be attached at any depth
+    rowsById = new Map();
+
+    // Selected rows, and the rows being moved with their new parent
+    selectedRows = [];
+    selectedRowIds = [];
+    @track moveRows = [];
+    newParentId;
+    moveToTopLevel = false;
+    isMoving = false;
 
     columns = [
         { 
@@ -29,9 +46,7 @@ export default class AssetHierarchyReport extends NavigationMixin(LightningEleme
                 label: { fieldName: 'name' },
                 target: '_blank'
             },
-            cellAttributes: {
-                class: { fieldName: 'rowClass' }
-            }
+            initialWidth: 260
         },
         { label: 'Serial Number', fieldName: 'serialNumber' },
         { label: 'Asset Type', fieldName: 'assetType' },
@@ -56,12 +71,33 @@ export default class AssetHierarchyReport extends NavigationMixin(LightningEleme
             fieldName: 'purchaseCost',
             type: 'currency'
         },
+        {
+            label: 'Total Cost',
+            fieldName: 'totalCost',
+            type: 'currency',
+            cellAttributes: { class: 'slds-text-title_bold' }
+        },
+        { label: 'Descendants', fieldName: 'descendantCount', type: 'number' },
+        {
+            label: 'Needing Attention',
+            fieldName: 'attentionCount',
+            type: 'number',
+            cellAttributes: {
+                class: { fieldName: 'attentionClass' }
+            }
+        },
         { 
             label: 'Last Maintenance', 
             fieldName: 'lastMaintenanceDate',
             type: 'date'
         },
-        { label: 'Site', fieldName: 'siteName' }
+        { label: 'Site', fieldName: 'siteName' },
+        {
+            type: 'action',
+            typeAttributes: {
+                rowActions: [{ label: 'Move to…', name: 'move', iconName: 'utility:move' }]
+            }
+        }
     ];
 
     connectedCallback() {
@@ -71,7 +107,11 @@ export default class AssetHierarchyReport extends NavigationMixin(LightningEleme
 
     loadData() {
         this.isLoading = true;
-        getAssetHierarchy({ 
+        this.rowsById = new Map();
+        this.expandedRows = [];
+        this.selectedRows = [];
+        this.selectedRowIds = [];
+        getRootNodes({ 
             siteFilter: this.siteFilter, 
             statusFilter: this.statusFilter 
         })
@@ -113,68 +153,210 @@ export default class AssetHierarchyReport extends NavigationMixin(LightningEleme
         });
     }
 
-    processHierarchyData(data) {
-        let flatData = [];
-        
-        if (!data || !Array.isArray(data)) {
-            return flatData;
+    /**
+     * Converts hierarchy nodes to tree grid rows and indexes them by ID
+     */
+    processHierarchyData(nodes) {
+        if (!nodes || !Array.isArray(nodes)) {
+            return [];
         }
-        
-        data.forEach(parent => {
-            if (!parent) return;
-            
-            // Add parent row
-            flatData.push({
-                id: parent.id,
-                name: parent.name,
-                assetUrl: `/lightning/r/Asset/${parent.id}/view`,
-                serialNumber: parent.serialNumber,
-                assetType: parent.assetType,
-                criticality: parent.criticality,
-                condition: parent.condition,
-                purchaseCost: parent.purchaseCost,
-                lastMaintenanceDate: parent.lastMaintenanceDate,
-                version: parent.version,
-                versionStatus: parent.versionStatus,
-                siteName: parent.siteName,
-                level: 0,
-                hasChildren: parent.children && parent.children.length > 0,
-                isExpanded: this.expandedRows.has(parent.id),
-                rowClass: 'parent-row',
-                criticalityClass: this.getCriticalityClass(parent.criticality),
-                conditionClass: this.getConditionClass(parent.condition)
-            });
 
-            // Add children if expanded
-            if (parent.children && parent.children.length > 0 && this.expandedRows.has(parent.id)) {
-                parent.children.forEach(child => {
-                    if (!child) return;
-                    
-                    flatData.push({
-                        id: child.id,
-                        name: '  └─ ' + child.name,
-                        assetUrl: `/lightning/r/Asset/${child.id}/view`,
-                        serialNumber: child.serialNumber,
-                        assetType: child.assetType,
-                        criticality: child.criticality,
-                        condition: child.condition,
-                        purchaseCost: child.purchaseCost,
-                        lastMaintenanceDate: child.lastMaintenanceDate,
-                        version: child.version,
-                        versionStatus: child.versionStatus,
-                        siteName: child.siteName,
-                        level: 1,
-                        hasChildren: false,
-                        isExpanded: false,
-                        rowClass: 'child-row',
-                        criticalityClass: this.getCriticalityClass(child.criticality),
-                        conditionClass: this.getConditionClass(child.condition)
-                    });
-                });
+        return nodes.filter(node => node).map(node => {
+            const row = {
+                id: node.id,
+                parentId: node.parentId,
+                name: node.name,
+                assetUrl: `/lightning/r/Asset/${node.id}/view`,
+                serialNumber: node.serialNumber,
+                assetType: node.assetType,
+                criticality: node.criticality,
+                condition: node.condition,
+                purchaseCost: node.purchaseCost,
+                totalCost: node.totalCost,
+                descendantCount: node.descendantCount,
+                attentionCount: node.attentionCount,
+                lastMaintenanceDate: node.lastMaintenanceDate,
+                version: node.version,
+                versionStatus: node.versionStatus,
+                siteName: node.siteName,
+                criticalityClass: this.getCriticalityClass(node.criticality),
+                conditionClass: this.getConditionClass(node.condition),
+                attentionClass: node.attentionCount > 0 ? 'slds-text-color_error' : ''
+            };
+            if (node.childCount > 0) {
+                row._children = [];
             }
+            this.rowsById.set(row.id, row);
+            return row;
+        });
+    }
+
+    /**
+     * Loads the children of the given rows in one call and attaches them
+     * @returns {Promise<object[]>} the loaded child rows
+     */
+    async loadChildren(parentRows) {
+        const nodes = await getChildNodes({
+            parentIds: parentRows.map(row => row.id),
+            siteFilter: this.siteFilter,
+            statusFilter: this.statusFilter
+        });
+        const childRows = this.processHierarchyData(nodes || []);
+
+        parentRows.forEach(row => {
+            row._children = childRows.filter(child => child.parentId === row.id);
+        });
+        // New array so the tree grid renders the attached children
+        this.hierarchyData = [...this.hierarchyData];
+        return childRows;
+    }
+
+    /**
+     * Lazy-loads the children of a row the first time it is expanded
+     */
+    async handleToggle(event) {
+        const { name, isExpanded, hasChildrenContent } = event.detail;
+        if (!isExpanded) {
+            this.expandedRows = this.expandedRows.filter(rowId => rowId !== name);
+            return;
+        }
+
+        this.expandedRows = [...this.expandedRows, name];
+        if (hasChildrenContent) {
+            return;
+        }
+
+        const row = this.rowsById.get(name);
+        try {
+            await this.loadChildren([row]);
+        } catch (error) {
+            this.expandedRows = this.expandedRows.filter(rowId => rowId !== name);
+            this.showToast('Error loading child assets', error.body ? error.body.message : error.message, 'error');
+        }
+    }
+
+    /**
+     * Loads every level that is not loaded yet, one server call per level, and expands all rows
+     */
+    async handleExpandAll() {
+        this.isExpanding = true;
+        try {
+            await this.loadRemainingLevels([...this.rowsById.values()]);
+            this.expandedRows = [...this.rowsById.values()]
+                .filter(row => row._children)
+                .map(row => row.id);
+        } catch (error) {
+            this.showToast('Error loading child assets', error.body ? error.body.message : error.message, 'error');
+        } finally {
+            this.isExpanding = false;
+        }
+    }
+
+    /**
+     * Loads the children of the given rows that are not loaded yet, then those of the loaded
+     * children, until a level has nothing left to load
+     * @returns {Promise<void>}
+     */
+    loadRemainingLevels(rows) {
+        const pendingRows = rows.filter(row => row._children && row._children.length === 0);
+        if (pendingRows.length === 0) {
+            return Promise.resolve();
+        }
+        return this.loadChildren(pendingRows).then(childRows => this.loadRemainingLevels(childRows));
+    }
+
+    handleCollapseAll() {
+        this.expandedRows = [];
+    }
+
+    handleRowSelection(event) {
+        this.selectedRows = event.detail.selectedRows;
+        this.selectedRowIds = this.selectedRows.map(row => row.id);
+    }
+
+    handleRowAction(event) {
+        if (event.detail.action.name === 'move') {
+            this.openMovePanel([event.detail.row]);
+        }
+    }
+
+    handleMoveSelected() {
+        this.openMovePanel(this.selectedRows);
+    }
+
+    openMovePanel(rows) {
+        this.moveRows = rows;
+        this.newParentId = null;
+        this.moveToTopLevel = false;
+    }
+
+    handleNewParentChange(event) {
+        this.newParentId = event.detail.recordId;
+    }
+
+    handleTopLevelChange(event) {
+        this.moveToTopLevel = event.target.checked;
+        if (this.moveToTopLevel) {
+            this.newParentId = null;
+        }
+    }
+
+    handleCancelMove() {
+        this.moveRows = [];
+    }
+
+    /**
+     * Confirms and moves the chosen assets, with everything below them, then reloads the tree
+     */
+    async handleConfirmMove() {
+        const destination = this.moveToTopLevel ? 'the top level' : 'the selected parent';
+        const confirmed = await LightningConfirm.open({
+            message: `Move ${this.moveSummary} to ${destination}? Everything below them moves with them.`,
+            label: 'Move Assets',
+            theme: 'warning'
         });
+        if (!confirmed) {
+            return;
+        }
 
-        return flatData;
+        this.isMoving = true;
+        try {
+            await moveAssets({
+                assetIds: this.moveRows.map(row => row.id),
+                newParentId: this.moveToTopLevel ? null : this.newParentId
+            });
+            this.showToast('Success', `Moved ${this.moveSummary}`, 'success');
+            this.moveRows = [];
+            this.loadData();
+            this.loadStats();
+        } catch (error) {
+            this.showToast('Error moving assets', error.body ? error.body.message : error.message, 'error');
+        } finally {
+            this.isMoving = false;
+        }
+    }
+
+    get isMovePanelOpen() {
+        return this.moveRows.length > 0;
+    }
+
+    get isMoveSelectedDisabled() {
+        return this.selectedRows.length === 0;
+    }
+
+    get isConfirmMoveDisabled() {
+        return this.isMoving || (!this.moveToTopLevel && !this.newParentId);
+    }
+
+    get moveSummary() {
+        return this.moveRows.length === 1 ? this.moveRows[0].name : `${this.moveRows.length} assets`;
+    }
+
+    // The moved assets cannot be their own parent; descendants are rejected by the server
+    get newParentFilter() {
+        return {
+            criteria: [{ fieldPath: 'Id', operator: 'nin', value: this.moveRows.map(row => row.id) }]
+        };
     }
 
     getCriticalityClass(criticality) {
@@ -190,33 +372,20 @@ export default class AssetHierarchyReport extends NavigationMixin(LightningEleme
         return '';
     }
 
-    handleRowAction(event) {
-        const row = event.detail.row;
-        if (row && row.hasChildren) {
-            if (this.expandedRows.has(row.id)) {
-                this.expandedRows.delete(row.id);
-            } else {
-                this.expandedRows.add(row.id);
-            }
-            this.loadData();
-        }
-    }
-
-    handleExport() {
+    // Exports the rows matching the site and status filters, as CSV or XLSX
+    handleExport(event) {
         this.isLoading = true;
-        exportHierarchyToCSV()
-        .then(csvData => {
-            const blob = new Blob([csvData], { type: 'text/csv' });
-            const url = window.URL.createObjectURL(blob);
-            const link = document.createElement('a');
-            link.href = url;
-            link.download = `Asset_Hierarchy_${new Date().toISOString().split('T')[0]}.csv`;
-            link.click();
-            window.URL.revokeObjectURL(url);
-            this.showToast('Success', 'Report exported successfully', 'success');
+        exportHierarchy({
+            siteFilter: this.siteFilter,
+            statusFilter: this.statusFilter,
+            format: event.detail.value
+        })
+        .then(file => {
+            downloadExportFile(file);
+            this.showToast('Success', describeExport(file), 'success');
         })
         .catch(error => {
-            this.showToast('Error', 'Error exporting report', 'error');
+            this.showToast('Error exporting report', error.body ? error.body.message : error.message, 'error');
         })
         .finally(() => {
             this.isLoading = false;
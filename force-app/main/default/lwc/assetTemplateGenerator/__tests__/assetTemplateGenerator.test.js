@@ -1,25 +1,374 @@
+import { setImmediate } from 'timers';
 import { createElement } from '@lwc/engine-dom';
+import { subscribe, unsubscribe } from 'lightning/empApi';
 import AssetTemplateGenerator from 'c/assetTemplateGenerator';
+import getActiveTemplates from '@salesforce/apex/AssetTemplateService.getActiveTemplates';
+import previewAssetNames from '@salesforce/apex/AssetTemplateService.previewAssetNames';
+import simulateGeneration from '@salesforce/apex/AssetTemplateService.simulateGeneration';
+import startGenerationJob from '@salesforce/apex/AssetTemplateService.startGenerationJob';
+import getGenerationJob from '@salesforce/apex/AssetTemplateService.getGenerationJob';
+import parseCsvColumns from '@salesforce/apex/AssetCsvImportService.parseCsvColumns';
+import validateCsvImport from '@salesforce/apex/AssetCsvImportService.validateCsvImport';
+
+jest.mock(
+    '@salesforce/apex/AssetTemplateService.getActiveTemplates',
+    () => {
+        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
+        return { default: createApexTestWireAdapter(jest.fn()) };
+    },
+    { virtual: true }
+);
+jest.mock('@salesforce/apex/AssetTemplateService.generateAssetsFromTemplate', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AssetTemplateService.previewAssetNames', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AssetTemplateService.simulateGeneration', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AssetTemplateService.startGenerationJob', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AssetTemplateService.getGenerationJob', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AssetGenerationRollbackService.rollbackGeneration', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AssetCsvImportService.parseCsvColumns', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AssetCsvImportService.validateCsvImport', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AssetCsvImportService.generateAssetsFromCsv', () => ({ default: jest.fn() }), { virtual: true });
+
+const TEMPLATE_ID = 'a01000000000001';
+const ACCOUNT_ID = '001000000000001';
+const JOB_ID = 'a0J000000000001';
+
+const TEMPLATES = [
+    { Id: TEMPLATE_ID, Name: 'Truck', Asset_Type__c: 'Vehicle', Naming_Pattern__c: '{SITE}-TRK-{SEQ:3}' }
+];
+
+const PREVIEW = {
+    names: ['NORTH-TRK-001', 'NORTH-TRK-002', 'NORTH-TRK-004', 'NORTH-TRK-005', 'NORTH-TRK-006'],
+    conflicts: ['NORTH-TRK-003'],
+    conflictCount: 1,
+    checkedCount: 8,
+    componentsPerAsset: 2
+};
+
+const CSV_COLUMNS = {
+    headers: ['Serial', 'Notes'],
+    suggestedMapping: { Serial: 'SerialNumber' },
+    fieldOptions: [
+        { label: 'Serial Number', value: 'SerialNumber' },
+        { label: 'Description', value: 'Description' }
+    ],
+    rowCount: 2
+};
+
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+function createGenerator() {
+    const element = createElement('c-asset-template-generator', { is: AssetTemplateGenerator });
+    document.body.appendChild(element);
+    getActiveTemplates.emit(TEMPLATES);
+    return element;
+}
+
+function findByName(element, selector, name) {
+    return [...element.shadowRoot.querySelectorAll(selector)].find(component => component.name === name);
+}
+
+function getButton(element, label) {
+    return [...element.shadowRoot.querySelectorAll('lightning-button')].find(button => button.label === label);
+}
+
+function changeValue(control, value) {
+    control.dispatchEvent(new CustomEvent('change', { detail: { value } }));
+}
+
+function listenForToasts(element) {
+    const toasts = [];
+    element.addEventListener('lightning__showtoast', event => toasts.push(event.detail));
+    return toasts;
+}
+
+// Selects the template, site prefix, quantity and account needed to preview and generate
+async function fillForm(element, quantity) {
+    await flushPromises();
+    [...element.shadowRoot.querySelectorAll('lightning-record-picker')]
+        .find(picker => picker.label === 'Account')
+        .dispatchEvent(new CustomEvent('change', { detail: { recordId: ACCOUNT_ID } }));
+    changeValue(findByName(element, 'lightning-combobox', 'template'), TEMPLATE_ID);
+    changeValue(findByName(element, 'lightning-input', 'sitePrefix'), 'NORTH');
+    changeValue(findByName(element, 'lightning-input', 'quantity'), String(quantity));
+    await flushPromises();
+}
+
+async function uploadCsv(element, content) {
+    changeValue(findByName(element, 'lightning-radio-group', 'sourceMode'), 'csv');
+    await flushPromises();
+
+    const fileInput = findByName(element, 'lightning-input', 'csvFile');
+    fileInput.files = [new File([content], 'assets.csv', { type: 'text/csv' })];
+    fileInput.dispatchEvent(new CustomEvent('change'));
+    // FileReader loads in a later task, then the columns are parsed
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await flushPromises();
+}
 
 describe('c-asset-template-generator', () => {
+    beforeEach(() => {
+        previewAssetNames.mockResolvedValue(PREVIEW);
+        subscribe.mockImplementation((channel, replayId, onMessage) => Promise.resolve({ channel, onMessage }));
+    });
+
     afterEach(() => {
-        // The jsdom instance is shared across test cases in a single file so reset the DOM
         while (document.body.firstChild) {
             document.body.removeChild(document.body.firstChild);
         }
+        jest.clearAllMocks();
+    });
+
+    describe('preview', () => {
+        it('previews the first names with existing names and components', async () => {
+            const element = createGenerator();
+            await fillForm(element, 8);
+
+            expect(previewAssetNames).toHaveBeenLastCalledWith({
+                templateId: TEMPLATE_ID,
+                quantity: 8,
+                sitePrefix: 'NORTH',
+                startNumber: 1,
+                options: { collisionMode: 'Fail', accountId: ACCOUNT_ID, contactId: null, locationId: null, siteId: null }
+            });
+            expect(element.shadowRoot.textContent).toContain('Naming pattern: {SITE}-TRK-{SEQ:3}');
+            expect([...element.shadowRoot.querySelectorAll('li span')].map(item => item.textContent)).toEqual(PREVIEW.names);
+            expect(element.shadowRoot.textContent).toContain('... and 3 more');
+            expect(element.shadowRoot.textContent).toContain('Each asset also creates 2 component asset(s) from the template structure (16 in total).');
+            expect(element.shadowRoot.textContent).toContain('1 name(s) in this range already exist. Generation will fail');
+            expect(element.shadowRoot.textContent).toContain('NORTH-TRK-003');
+        });
+
+        it('describes how the chosen collision mode handles existing names', async () => {
+            const element = createGenerator();
+            await fillForm(element, 8);
+
+            changeValue(findByName(element, 'lightning-combobox', 'collisionMode'), 'Skip');
+            await flushPromises();
+
+            expect(previewAssetNames.mock.calls[previewAssetNames.mock.calls.length - 1][0].options.collisionMode).toBe('Skip');
+            expect(element.shadowRoot.textContent).toContain('1 name(s) in this range already exist and will be skipped.');
+        });
+
+        it('ignores a preview that returns after a newer one', async () => {
+            let resolveFirst;
+            previewAssetNames.mockReturnValueOnce(new Promise(resolve => {
+                resolveFirst = resolve;
+            }));
+            const element = createGenerator();
+            await flushPromises();
+            changeValue(findByName(element, 'lightning-combobox', 'template'), TEMPLATE_ID);
+            changeValue(findByName(element, 'lightning-input', 'sitePrefix'), 'NORTH');
+            changeValue(findByName(element, 'lightning-input', 'sitePrefix'), 'SOUTH');
+            await flushPromises();
+
+            resolveFirst({ names: ['STALE-TRK-001'], conflicts: [], conflictCount: 0 });
+            await flushPromises();
+
+            expect(element.shadowRoot.textContent).not.toContain('STALE-TRK-001');
+            expect(element.shadowRoot.textContent).toContain('NORTH-TRK-001');
+        });
+
+        it('shows why names cannot be previewed', async () => {
+            previewAssetNames.mockRejectedValue({ body: { message: 'Invalid naming pattern: {SEQ} is missing' } });
+            const element = createGenerator();
+            await fillForm(element, 2);
+
+            expect(element.shadowRoot.querySelector('div.slds-text-color_error').textContent).toBe(
+                'Invalid naming pattern: {SEQ} is missing'
+            );
+            expect(element.shadowRoot.querySelector('ul.slds-list_dotted')).toBeNull();
+        });
+    });
+
+    describe('CSV import', () => {
+        it('reads the columns and suggests a field for each one', async () => {
+            parseCsvColumns.mockResolvedValue(CSV_COLUMNS);
+            const element = createGenerator();
+            await fillForm(element, 1);
+
+            await uploadCsv(element, 'Serial,Notes\nSN-1,First\nSN-2,Second');
+
+            expect(parseCsvColumns).toHaveBeenCalledWith({ csvContent: 'Serial,Notes\nSN-1,First\nSN-2,Second' });
+            expect(element.shadowRoot.textContent).toContain('assets.csv: 2 row(s)');
+            const serialMapping = findByName(element, 'lightning-combobox', 'Serial');
+            expect(serialMapping.value).toBe('SerialNumber');
+            expect(serialMapping.options.map(option => option.label)).toEqual(['-- Do not import --', 'Serial Number', 'Description']);
+            expect(findByName(element, 'lightning-combobox', 'Notes').value).toBe('');
+            expect(getButton(element, 'Generate from CSV').disabled).toBe(true);
+        });
+
+        it('validates the rows with the chosen mapping and reports the failures', async () => {
+            parseCsvColumns.mockResolvedValue(CSV_COLUMNS);
+            validateCsvImport.mockResolvedValue({
+                rowCount: 2,
+                errorCount: 1,
+                rows: [
+                    { rowNumber: 1, assetName: 'NORTH-TRK-001', isValid: true },
+                    { rowNumber: 2, assetName: 'NORTH-TRK-002', isValid: false, errorText: 'Serial Number: value too long' }
+                ]
+            });
+            const element = createGenerator();
+            const toasts = listenForToasts(element);
+            await fillForm(element, 1);
+            await uploadCsv(element, 'Serial,Notes\nSN-1,First\nSN-2,Second');
+
+            changeValue(findByName(element, 'lightning-combobox', 'Notes'), 'Description');
+            getButton(element, 'Validate CSV').click();
+            await flushPromises();
+
+            expect(validateCsvImport).toHaveBeenCalledWith(expect.objectContaining({
+                templateId: TEMPLATE_ID,
+                sitePrefix: 'NORTH',
+                columnMapping: { Serial: 'SerialNumber', Notes: 'Description' }
+            }));
+            expect(element.shadowRoot.textContent).toContain('Validation Report: 1 of 2 row(s) valid');
+            const table = element.shadowRoot.querySelector('lightning-datatable');
+            expect(table.data.map(row => row.status)).toEqual(['Valid', 'Error']);
+            expect(toasts[toasts.length - 1]).toEqual(expect.objectContaining({ title: 'CSV Has Errors', variant: 'warning' }));
+            expect(getButton(element, 'Generate from CSV').disabled).toBe(true);
+
+            // A new mapping makes the report stale
+            changeValue(findByName(element, 'lightning-combobox', 'Notes'), '');
+            await flushPromises();
+            expect(element.shadowRoot.querySelector('lightning-datatable')).toBeNull();
+        });
+
+        it('reports a file that cannot be read', async () => {
+            parseCsvColumns.mockRejectedValue({ body: { message: 'The CSV has no header row' } });
+            const element = createGenerator();
+            const toasts = listenForToasts(element);
+            await fillForm(element, 1);
+
+            await uploadCsv(element, '');
+
+            expect(toasts[toasts.length - 1]).toEqual(expect.objectContaining({
+                title: 'Error',
+                message: 'Failed to read CSV: The CSV has no header row',
+                variant: 'error'
+            }));
+            expect(findByName(element, 'lightning-combobox', 'Serial')).toBeUndefined();
+        });
+    });
+
+    describe('simulation', () => {
+        it('shows what would be created without saving anything', async () => {
+            simulateGeneration.mockResolvedValue({
+                assetCount: 2,
+                failureCount: 1,
+                maintenancePlanCount: 1,
+                approvalCount: 1,
+                approvalProcessName: 'High Value Asset Approval',
+                componentsPerAsset: 2,
+                runErrors: ['Components: Trailer template is inactive'],
+                assets: [
+                    { rowNumber: 1, name: 'NORTH-TRK-001', isValid: true, willSubmitForApproval: true },
+                    { rowNumber: 2, name: 'NORTH-TRK-002', isValid: false, willSubmitForApproval: false, errorText: 'Serial Number is required' }
+                ]
+            });
+            const element = createGenerator();
+            await fillForm(element, 2);
+
+            getButton(element, 'Simulate').click();
+            await flushPromises();
+
+            expect(simulateGeneration).toHaveBeenCalledWith(expect.objectContaining({
+                templateId: TEMPLATE_ID,
+                quantity: 2,
+                sitePrefix: 'NORTH'
+            }));
+            expect(element.shadowRoot.textContent).toContain(
+                'Simulation: 1 of 2 asset(s) would be created, 1 maintenance plan(s), 1 submitted to High Value Asset Approval, ' +
+                'plus 2 component asset(s) each. Nothing was saved.'
+            );
+            expect(element.shadowRoot.textContent).toContain('Components: Trailer template is inactive');
+            const table = element.shadowRoot.querySelector('lightning-datatable');
+            expect(table.data.map(row => [row.status, row.approval])).toEqual([
+                ['Valid', 'Will be submitted'],
+                ['Would fail', 'Not required']
+            ]);
+
+            // Changing an input makes the simulation stale
+            changeValue(findByName(element, 'lightning-input', 'sitePrefix'), 'SOUTH');
+            await flushPromises();
+            expect(element.shadowRoot.querySelector('lightning-datatable')).toBeNull();
+        });
+
+        it('is not offered for background runs', async () => {
+            const element = createGenerator();
+            await fillForm(element, 250);
+
+            expect(getButton(element, 'Simulate').disabled).toBe(true);
+            expect(getButton(element, 'Generate in Background')).toBeDefined();
+        });
     });
 
-    it('TODO: test case generated by CLI command, please fill in test logic', () => {
-        // Arrange
-        const element = createElement('c-asset-template-generator', {
-            is: AssetTemplateGenerator
+    describe('job progress', () => {
+        it('follows a background job until it finishes, then stops listening', async () => {
+            startGenerationJob.mockResolvedValue(JOB_ID);
+            getGenerationJob.mockResolvedValue({
+                Id: JOB_ID, Name: 'GEN-0001', Status__c: 'Processing', Quantity__c: 250,
+                Assets_Processed__c: 100, Assets_Created__c: 100, Assets_Failed__c: 0
+            });
+            const element = createGenerator();
+            const toasts = listenForToasts(element);
+            await fillForm(element, 250);
+
+            getButton(element, 'Generate in Background').click();
+            await flushPromises();
+
+            expect(subscribe).toHaveBeenCalledTimes(1);
+            expect(subscribe.mock.calls[0][0]).toBe('/event/Asset_Generation_Progress__e');
+            expect(element.shadowRoot.querySelector('lightning-progress-bar').value).toBe(40);
+            expect(element.shadowRoot.textContent).toContain('100 of 250 processed - 100 created, 0 failed');
+
+            // Events for other jobs are ignored
+            const subscription = await subscribe.mock.results[0].value;
+            subscription.onMessage({ data: { payload: { Job_Id__c: 'a0J000000000099' } } });
+            await flushPromises();
+            expect(getGenerationJob).toHaveBeenCalledTimes(1);
+
+            getGenerationJob.mockResolvedValue({
+                Id: JOB_ID, Name: 'GEN-0001', Status__c: 'Completed', Quantity__c: 250,
+                Assets_Processed__c: 250, Assets_Created__c: 250, Assets_Failed__c: 0
+            });
+            subscription.onMessage({ data: { payload: { Job_Id__c: JOB_ID } } });
+            await flushPromises();
+
+            expect(getGenerationJob).toHaveBeenCalledTimes(2);
+            expect(unsubscribe).toHaveBeenCalledWith(subscription);
+            expect(toasts[toasts.length - 1]).toEqual(expect.objectContaining({
+                title: 'Generation Completed',
+                message: 'Created 250 of 250 asset(s).',
+                variant: 'success'
+            }));
+            expect(getButton(element, 'Roll Back Run')).toBeDefined();
         });
 
-        // Act
-        document.body.appendChild(element);
+        it('stops listening when the job panel is dismissed or the component is removed', async () => {
+            startGenerationJob.mockResolvedValue(JOB_ID);
+            getGenerationJob.mockResolvedValue({ Id: JOB_ID, Name: 'GEN-0001', Status__c: 'Queued', Quantity__c: 250 });
+            const element = createGenerator();
+            await fillForm(element, 250);
+
+            getButton(element, 'Generate in Background').click();
+            await flushPromises();
+            const subscription = await subscribe.mock.results[0].value;
 
-        // Assert
-        // const div = element.shadowRoot.querySelector('div');
-        expect(1).toBe(1);
+            [...element.shadowRoot.querySelectorAll('lightning-button-icon')]
+                .find(button => button.alternativeText === 'Dismiss')
+                .click();
+            await flushPromises();
+
+            expect(unsubscribe).toHaveBeenCalledWith(subscription);
+            expect(element.shadowRoot.querySelector('lightning-progress-bar')).toBeNull();
+
+            getButton(element, 'Generate in Background').click();
+            await flushPromises();
+            const secondSubscription = await subscribe.mock.results[1].value;
+
+            document.body.removeChild(element);
+            expect(unsubscribe).toHaveBeenLastCalledWith(secondSubscription);
+        });
     });
-});
\ No newline at end of file
+});
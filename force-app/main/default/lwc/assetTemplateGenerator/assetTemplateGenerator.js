@@ -1,8 +1,50 @@
 import { LightningElement, api, track, wire } from 'lwc';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import { NavigationMixin } from 'lightning/navigation';
+import { subscribe, unsubscribe, onError } from 'lightning/empApi';
+import LightningConfirm from 'lightning/confirm';
 import getActiveTemplates from '@salesforce/apex/AssetTemplateService.getActiveTemplates';
 import generateAssetsFromTemplate from '@salesforce/apex/AssetTemplateService.generateAssetsFromTemplate';
+import previewAssetNames from '@salesforce/apex/AssetTemplateService.previewAssetNames';
+import simulateGeneration from '@salesforce/apex/AssetTemplateService.simulateGeneration';
+import startGenerationJob from '@salesforce/apex/AssetTemplateService.startGenerationJob';
+import getGenerationJob from '@salesforce/apex/AssetTemplateService.getGenerationJob';
+import rollbackGeneration from '@salesforce/apex/AssetGenerationRollbackService.rollbackGeneration';
+import parseCsvColumns from '@salesforce/apex/AssetCsvImportService.parseCsvColumns';
+import validateCsvImport from '@salesforce/apex/AssetCsvImportService.validateCsvImport';
+import generateAssetsFromCsv from '@salesforce/apex/AssetCsvImportService.generateAssetsFromCsv';
+
+// Mirrors AssetNamingService.DEFAULT_PATTERN for display when a template has no pattern
+const DEFAULT_NAMING_PATTERN = '{SITE}-{TYPE}-{SEQ:4}';
+
+// Mirrors AssetTemplateService limits: larger runs are generated by a background job
+const MAX_SYNC_QUANTITY = 100;
+const MAX_QUANTITY = 10000;
+
+const PROGRESS_CHANNEL = '/event/Asset_Generation_Progress__e';
+const FINISHED_JOB_STATUSES = ['Completed', 'Completed With Errors', 'Failed', 'Rolled Back'];
+
+const SOURCE_TEMPLATE = 'template';
+const SOURCE_CSV = 'csv';
+
+// Columns for the CSV validation report
+const CSV_REPORT_COLUMNS = [
+    { label: 'Row', fieldName: 'rowNumber', type: 'number', initialWidth: 80 },
+    { label: 'Asset Name', fieldName: 'assetName', type: 'text' },
+    { label: 'Status', fieldName: 'status', type: 'text', initialWidth: 100 },
+    { label: 'Errors', fieldName: 'errorText', type: 'text', wrapText: true }
+];
+
+// Columns for the simulation (dry run) report
+const SIMULATION_COLUMNS = [
+    { label: '#', fieldName: 'rowNumber', type: 'number', initialWidth: 60 },
+    { label: 'Asset Name', fieldName: 'name', type: 'text' },
+    { label: 'Field Values', fieldName: 'fieldSummary', type: 'text', wrapText: true },
+    { label: 'Maintenance Plan', fieldName: 'maintenancePlan', type: 'text', wrapText: true },
+    { label: 'Approval', fieldName: 'approval', type: 'text', initialWidth: 140 },
+    { label: 'Status', fieldName: 'status', type: 'text', initialWidth: 100 },
+    { label: 'Validation Errors', fieldName: 'errorText', type: 'text', wrapText: true }
+];
 
 /**
  * Lightning Web Component for generating multiple assets from a template
@@ -19,6 +61,41 @@ export default class AssetTemplateGenerator extends NavigationMixin(LightningEle
     quantity = 1;
     sitePrefix = '';
     startNumber = 1;
+    collisionMode = 'Fail';
+    
+    // Records every generated asset is attached to (AssetTemplateService.GenerationOptions)
+    accountId = null;
+    contactId = null;
+    locationId = null;
+    siteId = null;
+    
+    // Mirrors AssetNamingService collision modes
+    collisionModeOptions = [
+        { label: 'Fail if any name already exists', value: 'Fail' },
+        { label: 'Skip to the next free number', value: 'Skip' },
+        { label: 'Continue from the highest existing number', value: 'Continue' }
+    ];
+    
+    // Asset source: identical clones of the template, or one asset per CSV row
+    sourceMode = SOURCE_TEMPLATE;
+    sourceOptions = [
+        { label: 'Identical assets from template', value: SOURCE_TEMPLATE },
+        { label: 'One asset per CSV row', value: SOURCE_CSV }
+    ];
+    
+    // CSV upload state
+    csvContent = '';
+    csvFileName = '';
+    @track columnMappings = [];
+    @track csvFieldOptions = [];
+    @track csvReport = null;
+    csvReportColumns = CSV_REPORT_COLUMNS;
+    isValidatingCsv = false;
+    
+    // Simulation (dry run) state
+    @track simulation = null;
+    simulationColumns = SIMULATION_COLUMNS;
+    isSimulating = false;
     
     // UI state properties
     isGenerating = false;
@@ -27,8 +104,34 @@ export default class AssetTemplateGenerator extends NavigationMixin(LightningEle
     // Template data
     @track templateOptions = [];
     @track previewNames = [];
+    @track previewConflicts = [];
+    conflictCount = 0;
+    checkedCount = 0;
+    componentsPerAsset = 0;
+    previewError = '';
     selectedTemplate = null;
     
+    // Incremented per preview request so stale responses are ignored
+    previewRequestId = 0;
+    
+    // Background generation job state
+    @track generationJob = null;
+    isRollingBack = false;
+    jobSubscription = null;
+    
+    connectedCallback() {
+        // Live progress stops when the streaming connection fails; the job panel's Refresh still works
+        onError(() => {
+            if (this.jobSubscription) {
+                this.showToast('Progress Updates Stopped', 'Lost the connection for live job progress. Use Refresh to check on the job.', 'warning');
+            }
+        });
+    }
+    
+    disconnectedCallback() {
+        this.unsubscribeFromJobProgress();
+    }
+    
     /**
      * Wire service to fetch active templates from Apex
      * Automatically populates the template dropdown
@@ -41,7 +144,8 @@ export default class AssetTemplateGenerator extends NavigationMixin(LightningEle
                 return {
                     label: `${template.Name} - ${template.Asset_Type__c || 'N/A'}`,
                     value: template.Id,
-                    assetType: template.Asset_Type__c
+                    assetType: template.Asset_Type__c,
+                    namingPattern: template.Naming_Pattern__c || DEFAULT_NAMING_PATTERN
                 };
             });
         } else if (error) {
@@ -54,6 +158,7 @@ export default class AssetTemplateGenerator extends NavigationMixin(LightningEle
      */
     handleTemplateChange(event) {
         this.selectedTemplateId = event.detail.value;
+        this.csvReport = null;
         
         // Find the selected template to get asset type
         const selectedOption = this.templateOptions.find(opt => opt.value === this.selectedTemplateId);
@@ -76,6 +181,7 @@ export default class AssetTemplateGenerator extends NavigationMixin(LightningEle
      */
     handleSitePrefixChange(event) {
         this.sitePrefix = event.detail.value;
+        this.csvReport = null;
         this.updatePreview();
     }
     
@@ -84,31 +190,220 @@ export default class AssetTemplateGenerator extends NavigationMixin(LightningEle
      */
     handleStartNumberChange(event) {
         this.startNumber = parseInt(event.detail.value, 10);
+        this.csvReport = null;
+        this.updatePreview();
+    }
+    
+    /**
+     * Handle collision mode change
+     */
+    handleCollisionModeChange(event) {
+        this.collisionMode = event.detail.value;
+        this.csvReport = null;
         this.updatePreview();
     }
     
+    /**
+     * Handle Account, Contact, Location or Site selection
+     * The picker's data-target names the property it sets
+     */
+    handleTargetChange(event) {
+        this[event.target.dataset.target] = event.detail.recordId || null;
+        this.simulation = null;
+        this.csvReport = null;
+    }
+    
+    /**
+     * Handle asset source change between template clones and CSV rows
+     */
+    handleSourceChange(event) {
+        this.sourceMode = event.detail.value;
+        this.clearCsv();
+        this.quantity = 1;
+        this.updatePreview();
+    }
+    
+    /**
+     * Handle CSV file selection
+     * Reads the file and asks Apex for its columns and a suggested field mapping
+     */
+    async handleCsvUpload(event) {
+        const file = event.target.files && event.target.files[0];
+        this.clearCsv();
+        if (!file) {
+            return;
+        }
+        
+        try {
+            const content = await this.readFile(file);
+            const columns = await parseCsvColumns({ csvContent: content });
+            
+            this.csvContent = content;
+            this.csvFileName = file.name;
+            this.csvFieldOptions = [
+                { label: '-- Do not import --', value: '' },
+                ...columns.fieldOptions
+            ];
+            this.columnMappings = columns.headers.map(header => {
+                return {
+                    header,
+                    fieldName: columns.suggestedMapping[header] || ''
+                };
+            });
+            this.quantity = columns.rowCount;
+            this.updatePreview();
+        } catch (error) {
+            const errorMessage = error.body ? error.body.message : error.message;
+            this.showToast('Error', 'Failed to read CSV: ' + errorMessage, 'error');
+        }
+    }
+    
+    /**
+     * Reads a file as text
+     * @param {File} file - Selected CSV file
+     * @returns {Promise<string>} File content
+     */
+    readFile(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsText(file);
+        });
+    }
+    
+    /**
+     * Handle a change to the field mapped to a CSV column
+     * Any earlier validation no longer applies
+     */
+    handleMappingChange(event) {
+        const header = event.target.dataset.header;
+        this.columnMappings = this.columnMappings.map(mapping => {
+            return mapping.header === header ? { ...mapping, fieldName: event.detail.value } : mapping;
+        });
+        this.csvReport = null;
+    }
+    
+    /**
+     * Handle Validate CSV button click
+     * Checks every row against field types and validation rules without keeping any assets
+     */
+    async handleValidateCsv() {
+        if (!this.validateInputs()) {
+            return;
+        }
+        
+        this.isValidatingCsv = true;
+        try {
+            const result = await validateCsvImport(this.csvImportParams);
+            this.setCsvReport(result);
+            
+            if (result.errorCount === 0) {
+                this.showToast('CSV Valid', `All ${result.rowCount} row(s) passed validation.`, 'success');
+            } else {
+                this.showToast('CSV Has Errors', `${result.errorCount} of ${result.rowCount} row(s) failed validation.`, 'warning');
+            }
+        } catch (error) {
+            const errorMessage = error.body ? error.body.message : error.message;
+            this.showToast('Error', 'Failed to validate CSV: ' + errorMessage, 'error');
+        } finally {
+            this.isValidatingCsv = false;
+        }
+    }
+    
+    /**
+     * Generates one asset per CSV row
+     * Apex re-validates every row and inserts nothing if any row fails
+     */
+    async generateFromCsv() {
+        this.isGenerating = true;
+        this.successMessage = '';
+        
+        try {
+            const result = await generateAssetsFromCsv(this.csvImportParams);
+            this.setCsvReport(result);
+            
+            if (!result.committed) {
+                this.showToast('CSV Has Errors', `${result.errorCount} row(s) failed validation. No assets were created.`, 'error');
+                return;
+            }
+            
+            this.successMessage = `Successfully created ${result.assetIds.length} asset(s) from ${this.csvFileName}!`;
+            this.showToast('Success', this.successMessage, 'success');
+            this.navigateToAssetsList();
+        } catch (error) {
+            const errorMessage = error.body ? error.body.message : error.message;
+            this.showToast('Error', 'Failed to generate assets: ' + errorMessage, 'error');
+        } finally {
+            this.isGenerating = false;
+        }
+    }
+    
+    /**
+     * Stores an import report with display values for the datatable
+     */
+    setCsvReport(result) {
+        this.csvReport = {
+            ...result,
+            rows: result.rows.map(row => {
+                return { ...row, status: row.isValid ? 'Valid' : 'Error' };
+            })
+        };
+    }
+    
+    /**
+     * Clears the uploaded CSV and its mapping and report
+     */
+    clearCsv() {
+        this.csvContent = '';
+        this.csvFileName = '';
+        this.columnMappings = [];
+        this.csvFieldOptions = [];
+        this.csvReport = null;
+    }
+    
     /**
      * Updates the preview section with first 5 asset names
-     * Format: {sitePrefix}-{AssetType}-{number}
-     * Example: SITE-A-VEHICLE-0001
+     * Names are built server-side by the same naming pattern parser used for generation,
+     * e.g. {SITE}-{TYPE}-{SEQ:4} -> SITE-A-VEHICLE-0001
      */
-    updatePreview() {
+    async updatePreview() {
+        const requestId = ++this.previewRequestId;
         this.previewNames = [];
+        this.previewConflicts = [];
+        this.conflictCount = 0;
+        this.checkedCount = 0;
+        this.componentsPerAsset = 0;
+        this.previewError = '';
+        
+        // Any input change makes an earlier simulation stale
+        this.simulation = null;
         
         // Validate required fields before generating preview
         if (!this.selectedTemplate || !this.sitePrefix || !this.quantity || this.startNumber === null) {
             return;
         }
         
-        const assetType = this.selectedTemplate.assetType ? this.selectedTemplate.assetType.toUpperCase() : 'ASSET';
-        const previewCount = Math.min(5, this.quantity);
-        
-        // Generate preview names (first 5)
-        for (let i = 0; i < previewCount; i++) {
-            const num = this.startNumber + i;
-            const formattedNum = String(num).padStart(4, '0');
-            const assetName = `${this.sitePrefix}-${assetType}-${formattedNum}`;
-            this.previewNames.push(assetName);
+        try {
+            const preview = await previewAssetNames({
+                templateId: this.selectedTemplateId,
+                quantity: this.quantity,
+                sitePrefix: this.sitePrefix,
+                startNumber: this.startNumber,
+                options: this.generationOptions
+            });
+            
+            if (requestId === this.previewRequestId) {
+                this.previewNames = preview.names || [];
+                this.previewConflicts = preview.conflicts || [];
+                this.conflictCount = preview.conflictCount || 0;
+                this.checkedCount = preview.checkedCount || 0;
+                this.componentsPerAsset = preview.componentsPerAsset || 0;
+            }
+        } catch (error) {
+            if (requestId === this.previewRequestId) {
+                this.previewError = error.body ? error.body.message : error.message;
+            }
         }
     }
     
@@ -122,6 +417,17 @@ export default class AssetTemplateGenerator extends NavigationMixin(LightningEle
             return;
         }
         
+        if (this.isCsvMode) {
+            await this.generateFromCsv();
+            return;
+        }
+        
+        // Runs above the synchronous limit are chunked by a background job
+        if (this.isBackgroundRun) {
+            await this.startBackgroundGeneration();
+            return;
+        }
+        
         this.isGenerating = true;
         this.successMessage = '';
         
@@ -131,7 +437,8 @@ export default class AssetTemplateGenerator extends NavigationMixin(LightningEle
                 templateId: this.selectedTemplateId,
                 quantity: this.quantity,
                 sitePrefix: this.sitePrefix,
-                startNumber: this.startNumber
+                startNumber: this.startNumber,
+                options: this.generationOptions
             });
             
             // Show success message
@@ -155,6 +462,176 @@ export default class AssetTemplateGenerator extends NavigationMixin(LightningEle
         }
     }
     
+    /**
+     * Handle Simulate button click
+     * Runs generation in Apex with every insert rolled back and shows what would be created
+     */
+    async handleSimulate() {
+        if (!this.validateInputs()) {
+            return;
+        }
+        
+        this.isSimulating = true;
+        this.simulation = null;
+        
+        try {
+            const result = await simulateGeneration({
+                templateId: this.selectedTemplateId,
+                quantity: this.quantity,
+                sitePrefix: this.sitePrefix,
+                startNumber: this.startNumber,
+                options: this.generationOptions
+            });
+            this.setSimulation(result);
+        } catch (error) {
+            const errorMessage = error.body ? error.body.message : error.message;
+            this.showToast('Error', 'Failed to simulate generation: ' + errorMessage, 'error');
+        } finally {
+            this.isSimulating = false;
+        }
+    }
+    
+    /**
+     * Stores a simulation result with display values for the datatable
+     */
+    setSimulation(result) {
+        this.simulation = {
+            ...result,
+            rows: result.assets.map(asset => {
+                return {
+                    ...asset,
+                    status: asset.isValid ? 'Valid' : 'Would fail',
+                    approval: asset.willSubmitForApproval ? 'Will be submitted' : 'Not required'
+                };
+            })
+        };
+    }
+    
+    /**
+     * Starts a background generation job and subscribes to its progress events
+     */
+    async startBackgroundGeneration() {
+        this.isGenerating = true;
+        this.successMessage = '';
+        
+        try {
+            const jobId = await startGenerationJob({
+                templateId: this.selectedTemplateId,
+                quantity: this.quantity,
+                sitePrefix: this.sitePrefix,
+                startNumber: this.startNumber,
+                options: this.generationOptions
+            });
+            
+            this.generationJob = { Id: jobId, Status__c: 'Queued', Quantity__c: this.quantity };
+            this.showToast('Generation Started', `Generating ${this.quantity} assets in the background.`, 'info');
+            
+            await this.subscribeToJobProgress();
+            await this.refreshJob();
+        } catch (error) {
+            const errorMessage = error.body ? error.body.message : error.message;
+            this.showToast('Error', 'Failed to start generation job: ' + errorMessage, 'error');
+        } finally {
+            this.isGenerating = false;
+        }
+    }
+    
+    /**
+     * Subscribes to chunk progress events for the current job
+     */
+    async subscribeToJobProgress() {
+        if (this.jobSubscription) {
+            return;
+        }
+        
+        this.jobSubscription = await subscribe(PROGRESS_CHANNEL, -1, response => {
+            const payload = response.data.payload;
+            if (this.generationJob && payload.Job_Id__c === this.generationJob.Id) {
+                this.refreshJob();
+            }
+        });
+    }
+    
+    /**
+     * Stops listening for progress events
+     */
+    unsubscribeFromJobProgress() {
+        if (this.jobSubscription) {
+            unsubscribe(this.jobSubscription);
+            this.jobSubscription = null;
+        }
+    }
+    
+    /**
+     * Reloads job progress from the server
+     * Notifies the user and stops listening once the job has finished
+     */
+    async refreshJob() {
+        if (!this.generationJob) {
+            return;
+        }
+        
+        try {
+            const job = await getGenerationJob({ jobId: this.generationJob.Id });
+            const wasFinished = this.isJobFinished;
+            this.generationJob = job;
+            
+            if (this.isJobFinished && !wasFinished) {
+                this.unsubscribeFromJobProgress();
+                const variant = job.Status__c === 'Completed' ? 'success' : (job.Status__c === 'Failed' ? 'error' : 'warning');
+                this.showToast('Generation ' + job.Status__c, `Created ${job.Assets_Created__c} of ${job.Quantity__c} asset(s).`, variant);
+            }
+        } catch (error) {
+            const errorMessage = error.body ? error.body.message : error.message;
+            this.showToast('Error', 'Failed to load job progress: ' + errorMessage, 'error');
+        }
+    }
+    
+    /**
+     * Handle Refresh button click on the job progress panel
+     */
+    handleRefreshJob() {
+        this.refreshJob();
+    }
+    
+    /**
+     * Handle Roll Back Run button click on the job progress panel
+     * Deletes every asset the job created once the user confirms
+     */
+    async handleRollbackJob() {
+        const confirmed = await LightningConfirm.open({
+            message: `Delete the ${this.generationJob.Assets_Created__c} asset(s) created by ${this.generationJob.Name}, ` +
+                     'including components and maintenance plans? This cannot be undone.',
+            variant: 'header',
+            theme: 'warning',
+            label: 'Roll Back Generation Run'
+        });
+        if (!confirmed) {
+            return;
+        }
+        
+        this.isRollingBack = true;
+        try {
+            const result = await rollbackGeneration({ jobId: this.generationJob.Id });
+            this.showToast('Generation Run Rolled Back', 
+                `Deleted ${result.assetsDeleted} asset(s) and ${result.maintenancePlansDeleted} maintenance plan(s).`, 'success');
+            await this.refreshJob();
+        } catch (error) {
+            const errorMessage = error.body ? error.body.message : error.message;
+            this.showToast('Rollback Refused', errorMessage, 'error');
+        } finally {
+            this.isRollingBack = false;
+        }
+    }
+    
+    /**
+     * Handle Dismiss button click on the job progress panel
+     */
+    handleDismissJob() {
+        this.unsubscribeFromJobProgress();
+        this.generationJob = null;
+    }
+    
     /**
      * Handle Cancel button click
      * Resets all form fields to default values
@@ -164,7 +641,20 @@ export default class AssetTemplateGenerator extends NavigationMixin(LightningEle
         this.quantity = 1;
         this.sitePrefix = '';
         this.startNumber = 1;
+        this.collisionMode = 'Fail';
+        this.accountId = null;
+        this.contactId = null;
+        this.locationId = null;
+        this.siteId = null;
+        this.sourceMode = SOURCE_TEMPLATE;
+        this.clearCsv();
         this.previewNames = [];
+        this.previewConflicts = [];
+        this.conflictCount = 0;
+        this.checkedCount = 0;
+        this.componentsPerAsset = 0;
+        this.previewError = '';
+        this.simulation = null;
         this.selectedTemplate = null;
         this.successMessage = '';
     }
@@ -179,8 +669,13 @@ export default class AssetTemplateGenerator extends NavigationMixin(LightningEle
             return false;
         }
         
-        if (!this.quantity || this.quantity < 1 || this.quantity > 100) {
-            this.showToast('Validation Error', 'Quantity must be between 1 and 100', 'error');
+        if (this.isCsvMode && !this.csvContent) {
+            this.showToast('Validation Error', 'Please upload a CSV file', 'error');
+            return false;
+        }
+        
+        if (!this.quantity || this.quantity < 1 || this.quantity > MAX_QUANTITY) {
+            this.showToast('Validation Error', `Quantity must be between 1 and ${MAX_QUANTITY}`, 'error');
             return false;
         }
         
@@ -227,6 +722,220 @@ export default class AssetTemplateGenerator extends NavigationMixin(LightningEle
     
     // ========== COMPUTED PROPERTIES ==========
     
+    /**
+     * Optional generation settings passed to Apex (AssetTemplateService.GenerationOptions)
+     */
+    get generationOptions() {
+        return {
+            collisionMode: this.collisionMode,
+            accountId: this.accountId,
+            contactId: this.contactId,
+            locationId: this.locationId,
+            siteId: this.siteId
+        };
+    }
+    
+    /**
+     * Limits the Contact picker to the selected Account's contacts
+     */
+    get contactFilter() {
+        if (!this.accountId) {
+            return undefined;
+        }
+        return {
+            criteria: [{ fieldPath: 'AccountId', operator: 'eq', value: this.accountId }]
+        };
+    }
+    
+    /**
+     * Determines if the assets have an Account or Contact
+     * CSV rows may supply their own, so only template runs require one here
+     */
+    get hasOwnerTarget() {
+        return this.isCsvMode || Boolean(this.accountId || this.contactId);
+    }
+    
+    /**
+     * Parameters for AssetCsvImportService validate and generate calls
+     */
+    get csvImportParams() {
+        const columnMapping = {};
+        this.columnMappings.forEach(mapping => {
+            if (mapping.fieldName) {
+                columnMapping[mapping.header] = mapping.fieldName;
+            }
+        });
+        
+        return {
+            templateId: this.selectedTemplateId,
+            sitePrefix: this.sitePrefix,
+            startNumber: this.startNumber,
+            csvContent: this.csvContent,
+            columnMapping,
+            options: this.generationOptions
+        };
+    }
+    
+    /**
+     * Determines if assets are generated from CSV rows
+     */
+    get isCsvMode() {
+        return this.sourceMode === SOURCE_CSV;
+    }
+    
+    /**
+     * Determines if a CSV file has been read and its columns can be mapped
+     */
+    get hasCsvColumns() {
+        return this.columnMappings.length > 0;
+    }
+    
+    /**
+     * Determines if the latest CSV validation passed for every row
+     */
+    get isCsvValid() {
+        return this.csvReport !== null && this.csvReport.errorCount === 0;
+    }
+    
+    /**
+     * Summary line for the CSV validation report
+     */
+    get csvReportSummary() {
+        if (!this.csvReport) {
+            return '';
+        }
+        return `${this.csvReport.rowCount - this.csvReport.errorCount} of ${this.csvReport.rowCount} row(s) valid`;
+    }
+    
+    /**
+     * Determines if the Validate CSV button should be disabled
+     */
+    get isValidateCsvDisabled() {
+        return this.isValidatingCsv || this.isGenerating || !this.csvContent || !this.selectedTemplateId || !this.sitePrefix;
+    }
+    
+    /**
+     * Determines if existing names were found in the requested range
+     */
+    get hasConflicts() {
+        return this.conflictCount > 0;
+    }
+    
+    /**
+     * Determines if the template creates child component assets
+     */
+    get hasComponents() {
+        return this.componentsPerAsset > 0;
+    }
+    
+    /**
+     * Describes the component assets created under the previewed assets
+     */
+    get componentMessage() {
+        const total = this.componentsPerAsset * this.quantity;
+        return `Each asset also creates ${this.componentsPerAsset} component asset(s) from the template structure (${total} in total).`;
+    }
+    
+    /**
+     * Message describing how conflicts will be handled
+     */
+    get conflictMessage() {
+        let message;
+        if (this.collisionMode === 'Skip') {
+            message = `${this.conflictCount} name(s) in this range already exist and will be skipped.`;
+        } else if (this.collisionMode === 'Continue') {
+            message = `${this.conflictCount} name(s) in this range already exist. Numbering continues from the highest existing number.`;
+        } else {
+            message = `${this.conflictCount} name(s) in this range already exist. Generation will fail unless you change the range or collision mode.`;
+        }
+        
+        if (this.isBackgroundRun) {
+            message += ` Only the first ${this.checkedCount} names were checked; background batches containing existing names fail in Fail mode.`;
+        }
+        return message;
+    }
+    
+    /**
+     * Determines if the run exceeds the synchronous limit and will be generated in the background
+     */
+    get isBackgroundRun() {
+        return !this.isCsvMode && this.quantity > MAX_SYNC_QUANTITY;
+    }
+    
+    /**
+     * Label for the Generate button
+     */
+    get generateButtonLabel() {
+        if (this.isCsvMode) {
+            return 'Generate from CSV';
+        }
+        return this.isBackgroundRun ? 'Generate in Background' : 'Generate Assets';
+    }
+    
+    /**
+     * Determines if the job progress panel should be shown
+     */
+    get showJobProgress() {
+        return this.generationJob !== null;
+    }
+    
+    /**
+     * Determines if the current job has reached a final status
+     */
+    get isJobFinished() {
+        return this.generationJob !== null && FINISHED_JOB_STATUSES.includes(this.generationJob.Status__c);
+    }
+    
+    /**
+     * Determines if the finished job created assets that can still be rolled back
+     */
+    get canRollbackJob() {
+        return this.isJobFinished && 
+               this.generationJob.Status__c !== 'Rolled Back' && 
+               this.generationJob.Assets_Created__c > 0;
+    }
+    
+    /**
+     * Percentage of the job's assets processed so far
+     */
+    get jobProgressPercent() {
+        if (!this.generationJob || !this.generationJob.Quantity__c) {
+            return 0;
+        }
+        return Math.round(((this.generationJob.Assets_Processed__c || 0) / this.generationJob.Quantity__c) * 100);
+    }
+    
+    /**
+     * Summary of processed, created and failed counts for the current job
+     */
+    get jobProgressSummary() {
+        const job = this.generationJob;
+        if (!job) {
+            return '';
+        }
+        return `${job.Assets_Processed__c || 0} of ${job.Quantity__c} processed - ` +
+               `${job.Assets_Created__c || 0} created, ${job.Assets_Failed__c || 0} failed`;
+    }
+    
+    /**
+     * Failed chunk messages from the job error log
+     */
+    get jobErrors() {
+        if (!this.generationJob || !this.generationJob.Error_Log__c) {
+            return [];
+        }
+        return this.generationJob.Error_Log__c.split('\n').map((message, index) => {
+            return { key: `error-${index}`, message };
+        });
+    }
+    
+    /**
+     * Determines if the current job has recorded chunk failures
+     */
+    get hasJobErrors() {
+        return this.jobErrors.length > 0;
+    }
+    
     /**
      * Determines if the Generate button should be disabled
      */
@@ -235,7 +944,48 @@ export default class AssetTemplateGenerator extends NavigationMixin(LightningEle
                !this.selectedTemplateId || 
                !this.sitePrefix || 
                !this.quantity ||
-               this.startNumber === null;
+               this.startNumber === null ||
+               !this.hasOwnerTarget ||
+               (this.isCsvMode && !this.isCsvValid);
+    }
+    
+    /**
+     * Determines if the Simulate button is offered
+     * Simulation covers synchronous template runs, which are limited to 100 assets
+     */
+    get showSimulate() {
+        return !this.isCsvMode;
+    }
+    
+    /**
+     * Determines if the Simulate button should be disabled
+     */
+    get isSimulateDisabled() {
+        return this.isGenerateDisabled || this.isSimulating || this.isBackgroundRun;
+    }
+    
+    /**
+     * Summary line for the simulation report
+     */
+    get simulationSummary() {
+        const sim = this.simulation;
+        if (!sim) {
+            return '';
+        }
+        let summary = `${sim.assetCount - sim.failureCount} of ${sim.assetCount} asset(s) would be created, ` +
+                      `${sim.maintenancePlanCount} maintenance plan(s), ` +
+                      `${sim.approvalCount} submitted to ${sim.approvalProcessName}`;
+        if (sim.componentsPerAsset > 0) {
+            summary += `, plus ${sim.componentsPerAsset} component asset(s) each`;
+        }
+        return summary + '. Nothing was saved.';
+    }
+    
+    /**
+     * Determines if the simulation hit errors that are not tied to one asset
+     */
+    get hasSimulationRunErrors() {
+        return this.simulation !== null && this.simulation.runErrors.length > 0;
     }
     
     /**
@@ -245,6 +995,13 @@ export default class AssetTemplateGenerator extends NavigationMixin(LightningEle
         return this.previewNames.length > 0;
     }
     
+    /**
+     * Naming pattern of the selected template
+     */
+    get namingPattern() {
+        return this.selectedTemplate ? this.selectedTemplate.namingPattern : '';
+    }
+    
     /**
      * Determines if there are more assets than shown in preview
      */
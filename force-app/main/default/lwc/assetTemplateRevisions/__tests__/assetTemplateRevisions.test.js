@@ -0,0 +1,181 @@
+import { setImmediate } from 'timers';
+import { createElement } from '@lwc/engine-dom';
+import LightningConfirm from 'lightning/confirm';
+import AssetTemplateRevisions from 'c/assetTemplateRevisions';
+import getRevisionHistory from '@salesforce/apex/AssetTemplateRevisionService.getRevisionHistory';
+import getDriftReport from '@salesforce/apex/AssetTemplateRevisionService.getDriftReport';
+import reapplyTemplate from '@salesforce/apex/AssetTemplateRevisionService.reapplyTemplate';
+
+jest.mock(
+    '@salesforce/apex/AssetTemplateRevisionService.getRevisionHistory',
+    () => {
+        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
+        return { default: createApexTestWireAdapter(jest.fn()) };
+    },
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/AssetTemplateRevisionService.getDriftReport',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/AssetTemplateRevisionService.reapplyTemplate',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock('lightning/confirm', () => ({ __esModule: true, default: { open: jest.fn() } }));
+
+const DRIFT_REPORT = {
+    currentRevision: 3,
+    assetsChecked: 5,
+    truncated: false,
+    assets: [
+        {
+            assetId: '02i000000000001',
+            assetName: 'HQ-VEHICLE-0001',
+            revisionNumber: 2,
+            appliedDate: '2026-09-01',
+            differences: [
+                { fieldLabel: 'Manufacturer', assetValue: 'Acme', templateValue: 'Globex' },
+                { fieldLabel: 'Model', assetValue: null, templateValue: 'X200' }
+            ]
+        },
+        {
+            assetId: '02i000000000002',
+            assetName: 'HQ-VEHICLE-0002',
+            revisionNumber: null,
+            appliedDate: null,
+            differences: [{ fieldLabel: 'Model', assetValue: 'X100', templateValue: 'X200' }]
+        }
+    ]
+};
+
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+function createRevisions() {
+    const element = createElement('c-asset-template-revisions', { is: AssetTemplateRevisions });
+    element.recordId = 'a00000000000001';
+    document.body.appendChild(element);
+    return element;
+}
+
+function getDatatable(element, keyField) {
+    return [...element.shadowRoot.querySelectorAll('lightning-datatable')].find(table => table.keyField === keyField);
+}
+
+function getButton(element, labelStart) {
+    return [...element.shadowRoot.querySelectorAll('lightning-button')].find(button => button.label.startsWith(labelStart));
+}
+
+async function selectDriftRows(element, assetIds) {
+    getDatatable(element, 'assetId').dispatchEvent(
+        new CustomEvent('rowselection', { detail: { selectedRows: assetIds.map(assetId => ({ assetId })) } })
+    );
+    await flushPromises();
+}
+
+describe('c-asset-template-revisions', () => {
+    beforeEach(() => {
+        getDriftReport.mockResolvedValue(DRIFT_REPORT);
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    it('lists the revision history, labelling the first revision', async () => {
+        const element = createRevisions();
+        getRevisionHistory.emit([
+            { Id: 'r2', Revision_Number__c: 2, Changed_Fields__c: 'Model__c', CreatedBy: { Name: 'Ada Admin' }, CreatedDate: '2026-09-02' },
+            { Id: 'r1', Revision_Number__c: 1, Changed_Fields__c: null, CreatedBy: { Name: 'Ada Admin' }, CreatedDate: '2026-09-01' }
+        ]);
+        await flushPromises();
+
+        const rows = getDatatable(element, 'id').data;
+        expect(rows.map(row => row.changedFields)).toEqual(['Model__c', 'Initial revision']);
+        expect(rows[0].changedBy).toBe('Ada Admin');
+    });
+
+    it('shows the assets that drifted from the current template with their differences', async () => {
+        const element = createRevisions();
+        await flushPromises();
+
+        expect(getDriftReport).toHaveBeenCalledWith({ templateId: 'a00000000000001' });
+        const rows = getDatatable(element, 'assetId').data;
+        expect(rows[0].details).toBe('Manufacturer: Acme → Globex; Model: (blank) → X200');
+        expect(rows[0].revisionLabel).toBe('2');
+        expect(rows[1].revisionLabel).toBe('Unknown');
+        expect(element.shadowRoot.textContent).toContain(
+            '2 of 5 generated asset(s) differ from the current template (revision 3).'
+        );
+    });
+
+    it('reports when no generated asset differs', async () => {
+        getDriftReport.mockResolvedValue({ ...DRIFT_REPORT, assets: [], truncated: true });
+        const element = createRevisions();
+        await flushPromises();
+
+        expect(getDatatable(element, 'assetId')).toBeUndefined();
+        expect(element.shadowRoot.textContent).toContain(
+            '0 of 5 generated asset(s) differ from the current template (revision 3). Only the first assets were compared.'
+        );
+    });
+
+    it('re-applies the template to the selected assets after confirmation and reloads the drift', async () => {
+        LightningConfirm.open.mockResolvedValue(true);
+        reapplyTemplate.mockResolvedValue({ assetsUpdated: 1, errors: [] });
+        const element = createRevisions();
+        const toastHandler = jest.fn();
+        element.addEventListener('lightning__showtoast', toastHandler);
+        await flushPromises();
+
+        expect(getButton(element, 'Re-apply Template').disabled).toBe(true);
+        await selectDriftRows(element, ['02i000000000001']);
+        const reapplyButton = getButton(element, 'Re-apply Template');
+        expect(reapplyButton.label).toBe('Re-apply Template (1)');
+        expect(reapplyButton.disabled).toBe(false);
+
+        reapplyButton.click();
+        await flushPromises();
+
+        expect(reapplyTemplate).toHaveBeenCalledWith({ templateId: 'a00000000000001', assetIds: ['02i000000000001'] });
+        expect(toastHandler.mock.calls[0][0].detail).toMatchObject({ title: 'Template Re-applied', variant: 'success' });
+        expect(getDriftReport).toHaveBeenCalledTimes(2);
+    });
+
+    it('warns about assets that could not be updated', async () => {
+        LightningConfirm.open.mockResolvedValue(true);
+        reapplyTemplate.mockResolvedValue({ assetsUpdated: 1, errors: ['HQ-VEHICLE-0002: Model is locked'] });
+        const element = createRevisions();
+        const toastHandler = jest.fn();
+        element.addEventListener('lightning__showtoast', toastHandler);
+        await flushPromises();
+        await selectDriftRows(element, ['02i000000000001', '02i000000000002']);
+
+        getButton(element, 'Re-apply Template').click();
+        await flushPromises();
+
+        expect(toastHandler.mock.calls[0][0].detail).toMatchObject({
+            title: 'Template Partially Re-applied',
+            message: 'Updated 1 asset(s). 1 failed: HQ-VEHICLE-0002: Model is locked',
+            variant: 'warning'
+        });
+    });
+
+    it('changes nothing when the confirmation is cancelled', async () => {
+        LightningConfirm.open.mockResolvedValue(false);
+        const element = createRevisions();
+        await flushPromises();
+        await selectDriftRows(element, ['02i000000000001']);
+
+        getButton(element, 'Re-apply Template').click();
+        await flushPromises();
+
+        expect(reapplyTemplate).not.toHaveBeenCalled();
+        expect(getDriftReport).toHaveBeenCalledTimes(1);
+    });
+});
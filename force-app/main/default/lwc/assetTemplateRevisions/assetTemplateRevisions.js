@@ -0,0 +1,185 @@
+import { LightningElement, api, wire } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import LightningConfirm from 'lightning/confirm';
+import getRevisionHistory from '@salesforce/apex/AssetTemplateRevisionService.getRevisionHistory';
+import getDriftReport from '@salesforce/apex/AssetTemplateRevisionService.getDriftReport';
+import reapplyTemplate from '@salesforce/apex/AssetTemplateRevisionService.reapplyTemplate';
+
+const HISTORY_COLUMNS = [
+    { label: 'Revision', fieldName: 'revisionNumber', type: 'number', initialWidth: 100 },
+    { label: 'Changed Fields', fieldName: 'changedFields', wrapText: true },
+    { label: 'Changed By', fieldName: 'changedBy' },
+    {
+        label: 'Date',
+        fieldName: 'createdDate',
+        type: 'date',
+        typeAttributes: { year: 'numeric', month: 'short', day: '2-digit', hour: '2-digit', minute: '2-digit' }
+    }
+];
+
+const DRIFT_COLUMNS = [
+    {
+        label: 'Asset',
+        fieldName: 'assetUrl',
+        type: 'url',
+        typeAttributes: { label: { fieldName: 'assetName' }, target: '_blank' }
+    },
+    { label: 'Revision', fieldName: 'revisionLabel', initialWidth: 100 },
+    { label: 'Differences', fieldName: 'details', wrapText: true },
+    { label: 'Template Applied', fieldName: 'appliedDate', type: 'date' }
+];
+
+/**
+ * Shows an asset template's revision history and the generated assets whose mapped
+ * fields no longer match it, and re-applies the current template to selected assets
+ */
+export default class AssetTemplateRevisions extends LightningElement {
+    @api recordId;
+
+    historyColumns = HISTORY_COLUMNS;
+    driftColumns = DRIFT_COLUMNS;
+
+    revisions = [];
+    historyError;
+
+    driftReport;
+    driftRows = [];
+    driftError;
+    selectedAssetIds = [];
+    isLoadingDrift = false;
+    isReapplying = false;
+
+    @wire(getRevisionHistory, { templateId: '$recordId' })
+    wiredRevisions({ error, data }) {
+        if (data) {
+            this.revisions = data.map(revision => ({
+                id: revision.Id,
+                revisionNumber: revision.Revision_Number__c,
+                changedFields: revision.Changed_Fields__c || 'Initial revision',
+                changedBy: revision.CreatedBy ? revision.CreatedBy.Name : '',
+                createdDate: revision.CreatedDate
+            }));
+            this.historyError = undefined;
+        } else if (error) {
+            this.historyError = error.body ? error.body.message : error.message;
+            this.revisions = [];
+        }
+    }
+
+    connectedCallback() {
+        this.loadDriftReport();
+    }
+
+    /**
+     * Compares the template's generated assets with the current template
+     */
+    async loadDriftReport() {
+        this.isLoadingDrift = true;
+        this.selectedAssetIds = [];
+
+        try {
+            this.driftReport = await getDriftReport({ templateId: this.recordId });
+            this.driftRows = this.driftReport.assets.map(asset => ({
+                assetId: asset.assetId,
+                assetName: asset.assetName,
+                assetUrl: `/${asset.assetId}`,
+                revisionLabel: asset.revisionNumber ? `${asset.revisionNumber}` : 'Unknown',
+                details: asset.differences
+                    .map(difference => `${difference.fieldLabel}: ${difference.assetValue || '(blank)'} → ${difference.templateValue}`)
+                    .join('; '),
+                appliedDate: asset.appliedDate
+            }));
+            this.driftError = undefined;
+        } catch (error) {
+            this.driftError = error.body ? error.body.message : error.message;
+            this.driftReport = undefined;
+            this.driftRows = [];
+        } finally {
+            this.isLoadingDrift = false;
+        }
+    }
+
+    get hasRevisions() {
+        return this.revisions.length > 0;
+    }
+
+    get hasDrift() {
+        return this.driftRows.length > 0;
+    }
+
+    get showNoDrift() {
+        return !this.isLoadingDrift && !this.driftError && this.driftReport && !this.hasDrift;
+    }
+
+    /**
+     * Summary line above the drift table
+     */
+    get driftSummary() {
+        if (!this.driftReport) {
+            return '';
+        }
+        const revision = this.driftReport.currentRevision ? ` (revision ${this.driftReport.currentRevision})` : '';
+        const truncated = this.driftReport.truncated ? ' Only the first assets were compared.' : '';
+        return `${this.driftRows.length} of ${this.driftReport.assetsChecked} generated asset(s) differ from the ` +
+               `current template${revision}.${truncated}`;
+    }
+
+    get reapplyLabel() {
+        return this.selectedAssetIds.length > 0
+            ? `Re-apply Template (${this.selectedAssetIds.length})`
+            : 'Re-apply Template';
+    }
+
+    get isReapplyDisabled() {
+        return this.isReapplying || this.isLoadingDrift || this.selectedAssetIds.length === 0;
+    }
+
+    handleRowSelection(event) {
+        this.selectedAssetIds = event.detail.selectedRows.map(row => row.assetId);
+    }
+
+    handleRefresh() {
+        this.loadDriftReport();
+    }
+
+    /**
+     * Overwrites the mapped fields of the selected assets with the current template values
+     */
+    async handleReapply() {
+        const confirmed = await LightningConfirm.open({
+            message: `Overwrite the template fields of ${this.selectedAssetIds.length} asset(s) with the current ` +
+                     'template values? Changes made to those fields on the assets will be lost.',
+            variant: 'header',
+            theme: 'warning',
+            label: 'Re-apply Template'
+        });
+        if (!confirmed) {
+            return;
+        }
+
+        this.isReapplying = true;
+
+        try {
+            const result = await reapplyTemplate({ templateId: this.recordId, assetIds: this.selectedAssetIds });
+            if (result.errors.length > 0) {
+                this.showToast(
+                    'Template Partially Re-applied',
+                    `Updated ${result.assetsUpdated} asset(s). ${result.errors.length} failed: ${result.errors.join('; ')}`,
+                    'warning'
+                );
+            } else {
+                this.showToast('Template Re-applied', `Updated ${result.assetsUpdated} asset(s).`, 'success');
+            }
+            await this.loadDriftReport();
+        } catch (error) {
+            const errorMessage = error.body ? error.body.message : error.message;
+            this.showToast('Error', errorMessage, 'error');
+        } finally {
+            this.isReapplying = false;
+        }
+    }
+
+    showToast(title, message, variant) {
+        this.dispatchEvent(new ShowToastEvent({ title, message, variant }));
+    }
+}
@@ -0,0 +1,231 @@
+import { setImmediate } from 'timers';
+import { createElement } from '@lwc/engine-dom';
+import { refreshApex } from '@salesforce/apex';
+import AssetVersionHistory from 'c/assetVersionHistory';
+import getVersionTimeline from '@salesforce/apex/AssetVersionHistoryService.getVersionTimeline';
+import compareVersions from '@salesforce/apex/AssetVersionHistoryService.compareVersions';
+import getVersionChain from '@salesforce/apex/AssetVersionController.getVersionChain';
+import { subscribeToVersionTransitions, unsubscribeFromVersionTransitions } from 'c/versionTransitionEvents';
+
+jest.mock('@salesforce/apex', () => ({ refreshApex: jest.fn().mockResolvedValue() }), { virtual: true });
+jest.mock(
+    '@salesforce/apex/AssetVersionHistoryService.getVersionTimeline',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/AssetVersionHistoryService.compareVersions',
+    () => {
+        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
+        return { default: createApexTestWireAdapter(jest.fn()) };
+    },
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/AssetVersionController.getVersionChain',
+    () => {
+        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
+        return { default: createApexTestWireAdapter(jest.fn()) };
+    },
+    { virtual: true }
+);
+jest.mock('c/versionTransitionEvents', () => ({
+    subscribeToVersionTransitions: jest.fn(),
+    unsubscribeFromVersionTransitions: jest.fn()
+}));
+
+const V1_ID = '02i000000000001';
+const V2_ID = '02i000000000002';
+
+const TIMELINE = [
+    {
+        transitionId: 't1', assetId: V1_ID, assetName: 'Firewall-01', version: 'V1.0',
+        fromStatus: null, toStatus: 'Live', transitionDate: '2026-01-05T09:00:00.000Z', isCurrent: false
+    },
+    {
+        transitionId: 't2', assetId: V2_ID, assetName: 'Firewall-01 (Planned)', version: 'V2.0',
+        fromStatus: null, toStatus: 'Planned', transitionDate: '2026-09-01T09:00:00.000Z',
+        transitionedBy: 'Ada Admin', versionNotes: 'New firmware', isCurrent: true
+    },
+    {
+        transitionId: 't3', assetId: V2_ID, assetName: 'Firewall-01', version: 'V2.0',
+        fromStatus: 'Planned', toStatus: 'Live', transitionDate: '2026-10-01T09:00:00.000Z', isCurrent: true
+    }
+];
+
+const CHAIN = [
+    { assetId: V1_ID, name: 'Firewall-01 (Superseded)', version: 'V1.0', isCurrent: false },
+    { assetId: V2_ID, name: 'Firewall-01', version: 'V2.0', previousVersionId: V1_ID, isCurrent: true }
+];
+
+const COMPARISON = {
+    firstVersion: 'V1.0',
+    secondVersion: 'V2.0',
+    changedCount: 1,
+    fields: [
+        { fieldName: 'Firmware_Version__c', fieldLabel: 'Firmware Version', firstValue: '1.2', secondValue: '2.0', isChanged: true },
+        { fieldName: 'SerialNumber', fieldLabel: 'Serial Number', firstValue: 'SN-1', secondValue: 'SN-1', isChanged: false }
+    ]
+};
+
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+// Callbacks the component passed to the transition subscription
+let onTransition;
+let onStreamError;
+
+function createHistory() {
+    const element = createElement('c-asset-version-history', { is: AssetVersionHistory });
+    element.recordId = V2_ID;
+    document.body.appendChild(element);
+    return element;
+}
+
+describe('c-asset-version-history', () => {
+    beforeEach(() => {
+        getVersionTimeline.mockResolvedValue(TIMELINE);
+        subscribeToVersionTransitions.mockImplementation((callback, errorCallback) => {
+            onTransition = callback;
+            onStreamError = errorCallback;
+            return Promise.resolve({ id: 'subscription' });
+        });
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    it('loads the timeline of the whole chain and highlights this asset', async () => {
+        const element = createHistory();
+        await flushPromises();
+
+        expect(getVersionTimeline).toHaveBeenCalledWith({ assetId: V2_ID });
+        const tiles = element.shadowRoot.querySelectorAll('lightning-tile');
+        expect([...tiles].map(tile => tile.label)).toEqual([
+            'V1.0 – Firewall-01',
+            'V2.0 – Firewall-01 (Planned)',
+            'V2.0 – Firewall-01'
+        ]);
+        expect(tiles[0].href).toBe(`/${V1_ID}`);
+
+        const items = element.shadowRoot.querySelectorAll('li');
+        expect(items[0].className).toBe('slds-item');
+        expect(items[2].className).toBe('slds-item slds-theme_shade');
+        expect(items[1].textContent).toContain('Created as Planned');
+        expect(items[1].textContent).toContain('New firmware');
+        expect(items[2].textContent).toContain('Planned → Live');
+    });
+
+    it('explains when no transitions are recorded', async () => {
+        getVersionTimeline.mockResolvedValue([]);
+        const element = createHistory();
+        await flushPromises();
+
+        expect(element.shadowRoot.textContent).toContain('No version transitions have been recorded for this asset.');
+    });
+
+    it('shows the error when the timeline cannot be loaded', async () => {
+        getVersionTimeline.mockRejectedValue({ body: { message: 'Error retrieving version history: no access' } });
+        const element = createHistory();
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('p.slds-text-color_error').textContent).toBe(
+            'Error retrieving version history: no access'
+        );
+        expect(element.shadowRoot.textContent).not.toContain('No version transitions');
+    });
+
+    it('compares this version with the one it was created from, optionally showing changed fields only', async () => {
+        const element = createHistory();
+        getVersionChain.emit(CHAIN);
+        await flushPromises();
+
+        expect(compareVersions.getLastConfig()).toEqual({ firstAssetId: V1_ID, secondAssetId: V2_ID });
+        compareVersions.emit(COMPARISON);
+        await flushPromises();
+
+        const table = element.shadowRoot.querySelector('lightning-datatable');
+        expect(table.columns.map(column => column.label)).toEqual(['Field', 'V1.0', 'V2.0']);
+        expect(table.data.map(row => row.fieldLabel)).toEqual(['Firmware Version', 'Serial Number']);
+        expect(table.data[0].cellClass).toBe('slds-text-title_bold');
+        expect(element.shadowRoot.textContent).toContain('1 field differs.');
+
+        const toggle = element.shadowRoot.querySelector('lightning-input');
+        toggle.checked = true;
+        toggle.dispatchEvent(new CustomEvent('change'));
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('lightning-datatable').data.map(row => row.fieldLabel)).toEqual([
+            'Firmware Version'
+        ]);
+    });
+
+    it('compares the versions picked in the comboboxes', async () => {
+        const element = createHistory();
+        getVersionChain.emit(CHAIN);
+        await flushPromises();
+
+        const [first, second] = element.shadowRoot.querySelectorAll('lightning-combobox');
+        expect(first.options.map(option => option.label)).toEqual(['V1.0 – Firewall-01 (Superseded)', 'V2.0 – Firewall-01']);
+        first.dispatchEvent(new CustomEvent('change', { detail: { value: V2_ID } }));
+        second.dispatchEvent(new CustomEvent('change', { detail: { value: V1_ID } }));
+        await flushPromises();
+
+        expect(compareVersions.getLastConfig()).toEqual({ firstAssetId: V2_ID, secondAssetId: V1_ID });
+    });
+
+    it('hides the comparison for an asset without other versions', async () => {
+        const element = createHistory();
+        getVersionChain.emit([CHAIN[1]]);
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('lightning-combobox')).toBeNull();
+    });
+
+    it('reloads the timeline and comparison when a version of this chain transitions', async () => {
+        const element = createHistory();
+        getVersionChain.emit(CHAIN);
+        await flushPromises();
+
+        onTransition({ newVersionId: '02i000000000099', oldVersionId: '02i000000000098', direction: 'Forward' });
+        await flushPromises();
+        expect(getVersionTimeline).toHaveBeenCalledTimes(1);
+        expect(refreshApex).not.toHaveBeenCalled();
+
+        onTransition({ newVersionId: V1_ID, oldVersionId: V2_ID, direction: 'Rollback' });
+        await flushPromises();
+        expect(getVersionTimeline).toHaveBeenCalledTimes(2);
+        expect(refreshApex).toHaveBeenCalledTimes(2);
+
+        document.body.removeChild(element);
+        expect(unsubscribeFromVersionTransitions).toHaveBeenCalledWith({ id: 'subscription' });
+    });
+
+    it('drops a subscription that completes after the component was removed', async () => {
+        let resolveSubscription;
+        subscribeToVersionTransitions.mockReturnValueOnce(new Promise(resolve => {
+            resolveSubscription = resolve;
+        }));
+        const element = createHistory();
+        await flushPromises();
+
+        document.body.removeChild(element);
+        resolveSubscription({ id: 'late subscription' });
+        await flushPromises();
+
+        expect(unsubscribeFromVersionTransitions).toHaveBeenLastCalledWith({ id: 'late subscription' });
+    });
+
+    it('shows when live transition updates stop', async () => {
+        const element = createHistory();
+        await flushPromises();
+
+        onStreamError(new Error('Live version updates stopped. Reload the page to see new transitions.'));
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('p.slds-text-color_error').textContent).toContain('Live version updates stopped');
+    });
+});
@@ -0,0 +1,201 @@
+import { LightningElement, api, wire } from 'lwc';
+import { refreshApex } from '@salesforce/apex';
+import { notifyRecordUpdateAvailable } from 'lightning/uiRecordApi';
+import getVersionTimeline from '@salesforce/apex/AssetVersionHistoryService.getVersionTimeline';
+import compareVersions from '@salesforce/apex/AssetVersionHistoryService.compareVersions';
+import getVersionChain from '@salesforce/apex/AssetVersionController.getVersionChain';
+import { subscribeToVersionTransitions, unsubscribeFromVersionTransitions } from 'c/versionTransitionEvents';
+
+/**
+ * Shows the Planned → Live → Superseded transitions of an asset's version chain
+ * and compares two versions of the chain field by field. Refreshes, together with
+ * the record page, when a version of the chain is activated or rolled back.
+ */
+export default class AssetVersionHistory extends LightningElement {
+    @api recordId;
+
+    timeline = [];
+    timelineError;
+
+    versionChain = [];
+    firstAssetId;
+    secondAssetId;
+
+    comparison;
+    comparisonError;
+    showChangedOnly = false;
+
+    // Wire results for refreshApex, and the Version_Transitioned__e subscription
+    wiredVersionChainResult;
+    wiredComparisonResult;
+    transitionSubscription;
+
+    // Set while removed from the page, so a subscription completing afterwards is dropped
+    isDisconnected = false;
+
+    /**
+     * Loads the timeline from the server; not cached, so every transition shows as soon as it is recorded
+     */
+    async loadTimeline() {
+        try {
+            const data = await getVersionTimeline({ assetId: this.recordId });
+            this.timeline = data.map(entry => ({
+                ...entry,
+                assetUrl: entry.assetId ? `/${entry.assetId}` : null,
+                title: entry.version ? `${entry.version} – ${entry.assetName}` : entry.assetName,
+                transitionLabel: entry.fromStatus
+                    ? `${entry.fromStatus} → ${entry.toStatus}`
+                    : `Created as ${entry.toStatus}`,
+                itemClass: entry.isCurrent ? 'slds-item slds-theme_shade' : 'slds-item'
+            }));
+            this.timelineError = undefined;
+        } catch (error) {
+            this.timelineError = error.body ? error.body.message : error.message;
+            this.timeline = [];
+        }
+    }
+
+    @wire(getVersionChain, { assetId: '$recordId' })
+    wiredVersionChain(result) {
+        this.wiredVersionChainResult = result;
+        const { error, data } = result;
+        if (data) {
+            this.versionChain = data;
+            // Default to this asset against the version it was created from
+            const current = data.find(entry => entry.isCurrent);
+            const currentIndex = data.indexOf(current);
+            const previous = current && current.previousVersionId
+                ? data.find(entry => entry.assetId === current.previousVersionId)
+                : data[currentIndex - 1];
+            if (current && previous) {
+                this.firstAssetId = previous.assetId;
+                this.secondAssetId = current.assetId;
+            } else if (data.length > 1) {
+                this.firstAssetId = data[0].assetId;
+                this.secondAssetId = data[1].assetId;
+            }
+        } else if (error) {
+            this.versionChain = [];
+        }
+    }
+
+    @wire(compareVersions, { firstAssetId: '$firstAssetId', secondAssetId: '$secondAssetId' })
+    wiredComparison(result) {
+        this.wiredComparisonResult = result;
+        const { error, data } = result;
+        if (data) {
+            this.comparison = data;
+            this.comparisonError = undefined;
+        } else if (error) {
+            this.comparisonError = error.body ? error.body.message : error.message;
+            this.comparison = undefined;
+        }
+    }
+
+    async connectedCallback() {
+        this.isDisconnected = false;
+        this.loadTimeline();
+        try {
+            const subscription = await subscribeToVersionTransitions(
+                transition => {
+                    this.handleTransition(transition);
+                },
+                error => {
+                    this.timelineError = error.message;
+                }
+            );
+            if (this.isDisconnected) {
+                unsubscribeFromVersionTransitions(subscription);
+            } else {
+                this.transitionSubscription = subscription;
+            }
+        } catch (error) {
+            this.timelineError = error.body ? error.body.message : error.message;
+        }
+    }
+
+    disconnectedCallback() {
+        this.isDisconnected = true;
+        unsubscribeFromVersionTransitions(this.transitionSubscription);
+        this.transitionSubscription = null;
+    }
+
+    /**
+     * Reloads the history and the record when a transition involves this asset's chain
+     */
+    handleTransition({ newVersionId, oldVersionId }) {
+        const chainIds = new Set(this.versionChain.map(entry => entry.assetId));
+        chainIds.add(this.recordId);
+        if (!chainIds.has(newVersionId) && !chainIds.has(oldVersionId)) {
+            return;
+        }
+
+        this.loadTimeline();
+        refreshApex(this.wiredVersionChainResult);
+        refreshApex(this.wiredComparisonResult);
+        notifyRecordUpdateAvailable([{ recordId: this.recordId }]);
+    }
+
+    get hasTimeline() {
+        return this.timeline.length > 0;
+    }
+
+    get showNoTimeline() {
+        return !this.timelineError && this.timeline.length === 0;
+    }
+
+    get canCompare() {
+        return this.versionChain.length > 1;
+    }
+
+    get versionOptions() {
+        return this.versionChain.map(entry => ({
+            label: entry.version ? `${entry.version} – ${entry.name}` : entry.name,
+            value: entry.assetId
+        }));
+    }
+
+    get comparisonColumns() {
+        const first = this.comparison && this.comparison.firstVersion ? this.comparison.firstVersion : 'First Version';
+        const second = this.comparison && this.comparison.secondVersion ? this.comparison.secondVersion : 'Second Version';
+        const cellAttributes = { class: { fieldName: 'cellClass' } };
+        return [
+            { label: 'Field', fieldName: 'fieldLabel', cellAttributes },
+            { label: first, fieldName: 'firstValue', wrapText: true, cellAttributes },
+            { label: second, fieldName: 'secondValue', wrapText: true, cellAttributes }
+        ];
+    }
+
+    get comparisonRows() {
+        if (!this.comparison) {
+            return [];
+        }
+        return this.comparison.fields
+            .filter(field => field.isChanged || !this.showChangedOnly)
+            .map(field => ({
+                ...field,
+                cellClass: field.isChanged ? 'slds-text-title_bold' : ''
+            }));
+    }
+
+    get comparisonSummary() {
+        if (!this.comparison) {
+            return '';
+        }
+        return this.comparison.changedCount === 1
+            ? '1 field differs.'
+            : `${this.comparison.changedCount} fields differ.`;
+    }
+
+    handleFirstChange(event) {
+        this.firstAssetId = event.detail.value;
+    }
+
+    handleSecondChange(event) {
+        this.secondAssetId = event.detail.value;
+    }
+
+    handleChangedOnlyToggle(event) {
+        this.showChangedOnly = event.target.checked;
+    }
+}
@@ -0,0 +1,286 @@
+import { setImmediate } from 'timers';
+import { createElement } from '@lwc/engine-dom';
+import AssetVersionTransition from 'c/assetVersionTransition';
+import getAssetDetails from '@salesforce/apex/AssetVersionController.getAssetDetails';
+import getVersionChain from '@salesforce/apex/AssetVersionController.getVersionChain';
+import createPlannedVersion from '@salesforce/apex/AssetVersionController.createPlannedVersion';
+import activatePlannedVersion from '@salesforce/apex/AssetVersionController.activatePlannedVersion';
+import rollbackVersion from '@salesforce/apex/AssetVersionController.rollbackVersion';
+
+jest.mock(
+    '@salesforce/apex/AssetVersionController.getAssetDetails',
+    () => {
+        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
+        return { default: createApexTestWireAdapter(jest.fn()) };
+    },
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/AssetVersionController.getVersionChain',
+    () => {
+        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
+        return { default: createApexTestWireAdapter(jest.fn()) };
+    },
+    { virtual: true }
+);
+jest.mock('@salesforce/apex/AssetVersionController.createPlannedVersion', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AssetVersionController.activatePlannedVersion', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AssetVersionController.supersedeVersion', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AssetVersionController.rollbackVersion', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock(
+    'lightning/actions',
+    () => ({
+        CloseActionScreenEvent: class extends CustomEvent {
+            constructor() {
+                super('close');
+            }
+        }
+    }),
+    { virtual: true }
+);
+
+const ASSET_ID = '02i000000000002';
+const ENGINEER_ID = '005000000000001';
+
+const LIVE_ASSET = {
+    versionStatus: 'Live',
+    version: 'V2.0',
+    latestVersion: 'V2.0',
+    previousVersionName: 'Firewall-01 (Superseded)',
+    previousVersionStatus: 'Superseded',
+    nextVersions: { major: 'V3.0', minor: 'V2.1', patch: 'V2.0.1' }
+};
+
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+function createTransition(assetData) {
+    const element = createElement('c-asset-version-transition', { is: AssetVersionTransition });
+    element.recordId = ASSET_ID;
+    document.body.appendChild(element);
+    getAssetDetails.emit(assetData);
+    return element;
+}
+
+function getButton(element, label) {
+    return [...element.shadowRoot.querySelectorAll('lightning-button')].find(button => button.label === label);
+}
+
+function findByName(element, selector, name) {
+    return [...element.shadowRoot.querySelectorAll(selector)].find(component => component.name === name);
+}
+
+function changeField(control, value) {
+    control.value = value;
+    control.dispatchEvent(new CustomEvent('change'));
+}
+
+async function chooseTransition(element, type) {
+    findByName(element, 'lightning-radio-group', 'transitionType').dispatchEvent(
+        new CustomEvent('change', { detail: { value: type } })
+    );
+    await flushPromises();
+    getButton(element, 'Next').click();
+    await flushPromises();
+}
+
+async function confirmTransition(element) {
+    const checkbox = findByName(element, 'lightning-input', 'confirmCheck');
+    checkbox.checked = true;
+    checkbox.dispatchEvent(new CustomEvent('change'));
+    await flushPromises();
+    getButton(element, 'Confirm Transition').click();
+    await flushPromises();
+}
+
+// Emphasised words of the confirmation warning
+function getWarningTerms(element) {
+    return [...element.shadowRoot.querySelectorAll('.slds-theme_warning strong')].map(strong => strong.textContent);
+}
+
+function listenForEvents(element) {
+    const events = { toasts: [], closed: 0 };
+    element.addEventListener('lightning__showtoast', event => events.toasts.push(event.detail));
+    element.addEventListener('close', () => {
+        events.closed++;
+    });
+    return events;
+}
+
+describe('c-asset-version-transition', () => {
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    describe('scheduling', () => {
+        it('creates a planned version with its go-live date and assigned engineer', async () => {
+            createPlannedVersion.mockResolvedValue('02i000000000003');
+            const element = createTransition(LIVE_ASSET);
+            const events = listenForEvents(element);
+            await flushPromises();
+
+            await chooseTransition(element, 'CreatePlanned');
+
+            const goLiveInput = findByName(element, 'lightning-input', 'goLiveDate');
+            expect(goLiveInput.min).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+
+            // The minor suggestion fills in the version number
+            getButton(element, 'Minor: V2.1').click();
+            changeField(findByName(element, 'lightning-textarea', 'versionNotes'), 'Firmware upgrade');
+            changeField(goLiveInput, '2026-11-02');
+            changeField(findByName(element, 'lightning-record-picker', 'assignedEngineerId'), ENGINEER_ID);
+            element.shadowRoot.querySelectorAll('lightning-input').forEach(input => {
+                input.checkValidity = jest.fn().mockReturnValue(true);
+            });
+            getButton(element, 'Confirm Details').click();
+            await flushPromises();
+
+            expect(element.shadowRoot.textContent).toContain('Create New Planned Version (from current Live)');
+            await confirmTransition(element);
+
+            expect(createPlannedVersion).toHaveBeenCalledWith({
+                originalAssetId: ASSET_ID,
+                newVersion: 'V2.1',
+                versionNotes: 'Firmware upgrade',
+                goLiveDate: '2026-11-02',
+                assignedEngineerId: ENGINEER_ID
+            });
+            expect(events.toasts[0]).toEqual(expect.objectContaining({ variant: 'success' }));
+            expect(events.closed).toBe(1);
+        });
+
+        it('flags a version number that does not follow the current one and stays on the details', async () => {
+            const element = createTransition(LIVE_ASSET);
+            const events = listenForEvents(element);
+            await flushPromises();
+            await chooseTransition(element, 'CreatePlanned');
+
+            const versionInput = findByName(element, 'lightning-input', 'newVersion');
+            versionInput.setCustomValidity = jest.fn();
+            changeField(versionInput, 'V1.5');
+
+            expect(versionInput.setCustomValidity).toHaveBeenLastCalledWith('Must be greater than the current version (V2.0).');
+
+            element.shadowRoot.querySelectorAll('lightning-input').forEach(input => {
+                input.checkValidity = jest.fn().mockReturnValue(input.name !== 'newVersion');
+            });
+            getButton(element, 'Confirm Details').click();
+            await flushPromises();
+
+            expect(events.toasts[0]).toEqual(expect.objectContaining({ title: 'Validation Error', variant: 'error' }));
+            expect(getButton(element, 'Confirm Transition')).toBeUndefined();
+            expect(createPlannedVersion).not.toHaveBeenCalled();
+        });
+
+        it('shows when a planned version is scheduled to go live, and why a scheduled go-live failed', async () => {
+            const element = createTransition({
+                versionStatus: 'Planned',
+                version: 'V2.1',
+                plannedGoLiveDate: '2026-11-02',
+                goLiveError: 'Firewall-01 is no longer Live.'
+            });
+            await flushPromises();
+
+            expect(element.shadowRoot.textContent).toContain('Scheduled to go live on');
+            expect(element.shadowRoot.querySelector('lightning-formatted-date-time').value).toBe('2026-11-02');
+            expect(element.shadowRoot.querySelector('.slds-theme_error').textContent).toContain('Firewall-01 is no longer Live.');
+            expect(findByName(element, 'lightning-radio-group', 'transitionType').options.map(option => option.value)).toEqual([
+                'ActivatePlanned'
+            ]);
+        });
+
+        it('activates a planned version now, naming the version it supersedes', async () => {
+            activatePlannedVersion.mockResolvedValue();
+            const element = createTransition({
+                versionStatus: 'Planned',
+                version: 'V2.1',
+                previousVersionName: 'Firewall-01',
+                plannedGoLiveDate: '2026-11-02'
+            });
+            const events = listenForEvents(element);
+            await flushPromises();
+
+            await chooseTransition(element, 'ActivatePlanned');
+            expect(getWarningTerms(element)).toEqual(['⚠️ WARNING', 'Firewall-01', 'Superseded']);
+
+            await confirmTransition(element);
+
+            expect(activatePlannedVersion).toHaveBeenCalledWith({ plannedAssetId: ASSET_ID });
+            expect(events.closed).toBe(1);
+        });
+    });
+
+    describe('rollback', () => {
+        it('is offered only when the previous version was superseded by this one', async () => {
+            const element = createTransition({ ...LIVE_ASSET, previousVersionStatus: 'Rolled Back' });
+            await flushPromises();
+
+            const radioGroup = findByName(element, 'lightning-radio-group', 'transitionType');
+            expect(radioGroup.options.map(option => option.value)).toEqual(['CreatePlanned', 'Supersede']);
+
+            getAssetDetails.emit(LIVE_ASSET);
+            await flushPromises();
+
+            expect(radioGroup.options.map(option => option.value)).toEqual(['CreatePlanned', 'Supersede', 'Rollback']);
+        });
+
+        it('rolls back to the previous version once confirmed and closes the action', async () => {
+            rollbackVersion.mockResolvedValue();
+            const element = createTransition(LIVE_ASSET);
+            const events = listenForEvents(element);
+            await flushPromises();
+
+            await chooseTransition(element, 'Rollback');
+
+            expect(getWarningTerms(element)).toEqual(['⚠️ WARNING', 'Rolled Back', 'Firewall-01 (Superseded)', 'Live']);
+            expect(getButton(element, 'Confirm Transition').disabled).toBe(true);
+
+            await confirmTransition(element);
+
+            expect(rollbackVersion).toHaveBeenCalledWith({ liveAssetId: ASSET_ID });
+            expect(events.toasts[0]).toEqual(expect.objectContaining({
+                message: 'Version has been rolled back. The previous version is Live again.',
+                variant: 'success'
+            }));
+            expect(events.closed).toBe(1);
+        });
+
+        it('shows why the server refused the rollback and stays open', async () => {
+            rollbackVersion.mockRejectedValue({
+                body: { pageErrors: [{ message: 'Firewall-01 (Superseded) has been superseded by another version.' }] }
+            });
+            const element = createTransition(LIVE_ASSET);
+            const events = listenForEvents(element);
+            await flushPromises();
+            await chooseTransition(element, 'Rollback');
+
+            await confirmTransition(element);
+
+            expect(events.toasts[0]).toEqual(expect.objectContaining({
+                title: 'Error',
+                message: 'Firewall-01 (Superseded) has been superseded by another version.',
+                variant: 'error'
+            }));
+            expect(events.closed).toBe(0);
+            expect(getButton(element, 'Confirm Transition')).toBeDefined();
+        });
+
+        it('lists the version chain with the current version highlighted', async () => {
+            const element = createTransition(LIVE_ASSET);
+            getVersionChain.emit([
+                { assetId: '02i000000000001', name: 'Firewall-01 (Superseded)', version: 'V1.0', versionStatus: 'Superseded',
+                    supersededDate: '2026-10-01', isCurrent: false },
+                { assetId: ASSET_ID, name: 'Firewall-01', version: 'V2.0', versionStatus: 'Live',
+                    activatedDate: '2026-10-01', isCurrent: true }
+            ]);
+            await flushPromises();
+
+            const items = element.shadowRoot.querySelectorAll('ol li');
+            expect(items[0].textContent).toContain('V1.0 – Firewall-01 (Superseded) (Superseded)');
+            expect(items[0].textContent).toContain('Superseded 2026-10-01');
+            expect(items[1].className).toBe('slds-item slds-text-title_bold');
+        });
+    });
+});
@@ -1,18 +1,21 @@
 import { LightningElement, api, wire } from 'lwc';
 import { CloseActionScreenEvent } from 'lightning/actions';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import { NavigationMixin } from 'lightning/navigation';
 import getAssetDetails from '@salesforce/apex/AssetVersionController.getAssetDetails';
 import createPlannedVersion from '@salesforce/apex/AssetVersionController.createPlannedVersion';
 import activatePlannedVersion from '@salesforce/apex/AssetVersionController.activatePlannedVersion';
 import supersedeVersion from '@salesforce/apex/AssetVersionController.supersedeVersion';
-import findRelatedLiveAsset from '@salesforce/apex/AssetVersionController.findRelatedLiveAsset';
+import rollbackVersion from '@salesforce/apex/AssetVersionController.rollbackVersion';
+import getVersionChain from '@salesforce/apex/AssetVersionController.getVersionChain';
+import { validateNextVersion } from 'c/versionUtil';
 
 // Import field references for namespace compatibility
 import NAME_FIELD from '@salesforce/schema/Asset.Name';
 import VERSION_FIELD from '@salesforce/schema/Asset.Version__c';
 import VERSION_STATUS_FIELD from '@salesforce/schema/Asset.Version_Status__c';
 
-export default class AssetVersionTransition extends LightningElement {
+export default class AssetVersionTransition extends NavigationMixin(LightningElement) {
     @api recordId;
     
     // Field references for namespace compatibility
@@ -28,6 +31,7 @@ export default class AssetVersionTransition extends LightningElement {
     
     // Data
     assetData;
+    versionChain = [];
     transitionType = '';
     isConfirmed = false;
     form = {
@@ -51,6 +55,21 @@ export default class AssetVersionTransition extends LightningElement {
             this.isLoading = false;
         }
     }
+    
+    @wire(getVersionChain, { assetId: '$recordId' })
+    wiredVersionChain({ error, data }) {
+        if (data) {
+            this.versionChain = data.map(entry => ({
+                ...entry,
+                itemClass: entry.isCurrent ? 'slds-item slds-text-title_bold' : 'slds-item',
+                dateLabel: entry.supersededDate
+                    ? `Superseded ${entry.supersededDate}`
+                    : (entry.activatedDate ? `Activated ${entry.activatedDate}` : '')
+            }));
+        } else if (error) {
+            this.versionChain = [];
+        }
+    }
 
     
     get isScreen1() { return this.currentScreen === 1; }
@@ -58,7 +77,33 @@ export default class AssetVersionTransition extends LightningElement {
     get isScreen3() { return this.currentScreen === 3; }
     get isActivating() { return this.transitionType === 'ActivatePlanned'; }
     get isSuperseding() { return this.transitionType === 'Supersede'; }
+    get isRollingBack() { return this.transitionType === 'Rollback'; }
     get isNextDisabled() { return !this.transitionType; }
+    get hasVersionChain() { return this.versionChain.length > 1; }
+    get hasGoLiveError() { return Boolean(this.assetData && this.assetData.goLiveError); }
+    
+    get isGoLiveScheduled() {
+        return Boolean(this.assetData && this.assetData.versionStatus === 'Planned' && this.assetData.plannedGoLiveDate);
+    }
+    
+    /**
+     * Earliest go-live date, in the ISO format lightning-input expects
+     */
+    get today() {
+        const now = new Date();
+        const month = String(now.getMonth() + 1).padStart(2, '0');
+        const day = String(now.getDate()).padStart(2, '0');
+        return `${now.getFullYear()}-${month}-${day}`;
+    }
+    
+    /**
+     * Name of the asset this planned version supersedes when activated
+     */
+    get previousVersionName() {
+        return this.assetData && this.assetData.previousVersionName
+            ? this.assetData.previousVersionName
+            : 'the current Live version';
+    }
     
     get transitionOptions() {
         if (!this.assetData) return [];
@@ -74,6 +119,13 @@ export default class AssetVersionTransition extends LightningElement {
                 label: 'Supersede Current Version (mark as superseded without replacement)', 
                 value: 'Supersede' 
             });
+            // Only a version that superseded its predecessor can hand back to it
+            if (this.assetData.previousVersionStatus === 'Superseded') {
+                options.push({ 
+                    label: 'Roll Back to Previous Version (Live → Rolled Back, previous → Live)', 
+                    value: 'Rollback' 
+                });
+            }
         } else if (status === 'Planned') {
             options.push({ 
                 label: 'Activate Planned Version (Planned → Live, old Live → Superseded)', 
@@ -84,6 +136,23 @@ export default class AssetVersionTransition extends LightningElement {
         return options;
     }
     
+    /**
+     * Next major, minor and patch versions suggested by the server, offered as shortcuts on screen 2
+     */
+    get versionSuggestions() {
+        const next = this.assetData && this.assetData.nextVersions;
+        if (!next) return [];
+        return [
+            { key: 'major', label: `Major: ${next.major}`, value: next.major },
+            { key: 'minor', label: `Minor: ${next.minor}`, value: next.minor },
+            { key: 'patch', label: `Patch: ${next.patch}`, value: next.patch }
+        ];
+    }
+    
+    get hasVersionSuggestions() {
+        return this.versionSuggestions.length > 0;
+    }
+    
     get selectedOption() {
         return this.transitionOptions.find(opt => opt.value === this.transitionType) || {};
     }
@@ -96,6 +165,30 @@ export default class AssetVersionTransition extends LightningElement {
     handleFormChange(event) {
         const { name, value } = event.target;
         this.form[name] = value;
+        if (name === 'newVersion') {
+            this.validateNewVersion(event.target);
+        }
+    }
+    
+    handleVersionSuggestion(event) {
+        this.form.newVersion = event.target.value;
+        const input = this.template.querySelector('lightning-input[name="newVersion"]');
+        if (input) {
+            input.value = this.form.newVersion;
+            this.validateNewVersion(input);
+        }
+    }
+    
+    /**
+     * Flags a new version that is malformed, uses another scheme or does not
+     * exceed the latest version in the chain, as the server would reject it
+     */
+    validateNewVersion(input) {
+        const message = this.form.newVersion
+            ? validateNextVersion(this.form.newVersion, this.assetData.version, this.assetData.latestVersion)
+            : '';
+        input.setCustomValidity(message);
+        input.reportValidity();
     }
     
     handleConfirmCheck(event) {
@@ -120,6 +213,11 @@ export default class AssetVersionTransition extends LightningElement {
     }
     
     handleConfirmDetails() {
+        const versionInput = this.template.querySelector('lightning-input[name="newVersion"]');
+        if (versionInput) {
+            this.validateNewVersion(versionInput);
+        }
+        
         const inputs = this.template.querySelectorAll('lightning-input');
         const allValid = [...inputs].reduce((validSoFar, inputCmp) => {
             inputCmp.reportValidity();
@@ -151,13 +249,7 @@ export default class AssetVersionTransition extends LightningElement {
                     break;
                     
                 case 'ActivatePlanned':
-                    const liveAssetId = await findRelatedLiveAsset({ 
-                        assetName: this.assetData.name 
-                    });
-                    await activatePlannedVersion({ 
-                        plannedAssetId: this.recordId, 
-                        relatedLiveAssetId: liveAssetId 
-                    });
+                    await activatePlannedVersion({ plannedAssetId: this.recordId });
                     this.showToast('Success', 'Asset has been activated.', 'success');
                     break;
                     
@@ -166,6 +258,11 @@ export default class AssetVersionTransition extends LightningElement {
                     this.showToast('Success', 'Asset has been superseded.', 'success');
                     break;
                     
+                case 'Rollback':
+                    await rollbackVersion({ liveAssetId: this.recordId });
+                    this.showToast('Success', 'Version has been rolled back. The previous version is Live again.', 'success');
+                    break;
+                    
                 default:
                     throw new Error('Invalid transition type selected.');
             }
@@ -0,0 +1,70 @@
+import { downloadExportFile, describeExport } from 'c/exportFile';
+
+// Reads a Blob back into its bytes
+function readBytes(blob) {
+    return new Promise(resolve => {
+        const reader = new FileReader();
+        reader.onload = () => resolve([...new Uint8Array(reader.result)]);
+        reader.readAsArrayBuffer(blob);
+    });
+}
+
+describe('c/exportFile', () => {
+    describe('downloadExportFile', () => {
+        let clickedLinks;
+
+        beforeEach(() => {
+            clickedLinks = [];
+            window.URL.createObjectURL = jest.fn(() => 'blob:export-1');
+            window.URL.revokeObjectURL = jest.fn();
+            jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function click() {
+                clickedLinks.push({ href: this.href, download: this.download });
+            });
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+            delete window.URL.createObjectURL;
+            delete window.URL.revokeObjectURL;
+        });
+
+        it('downloads the decoded content under the file name and releases the object URL', async () => {
+            downloadExportFile({
+                fileName: 'asset-status.csv',
+                mimeType: 'text/csv',
+                content: btoa('"Status","Count"\r\n"Installed",3\r\n')
+            });
+
+            expect(clickedLinks).toEqual([{ href: 'blob:export-1', download: 'asset-status.csv' }]);
+            const blob = window.URL.createObjectURL.mock.calls[0][0];
+            expect(blob.type).toBe('text/csv');
+            expect(String.fromCharCode(...(await readBytes(blob)))).toBe('"Status","Count"\r\n"Installed",3\r\n');
+            expect(window.URL.revokeObjectURL).toHaveBeenCalledWith('blob:export-1');
+        });
+
+        it('keeps every byte of binary XLSX content', async () => {
+            // ZIP signature followed by bytes that are not valid text
+            const bytes = [0x50, 0x4b, 0x03, 0x04, 0x00, 0x80, 0xff];
+            downloadExportFile({
+                fileName: 'asset-hierarchy.xlsx',
+                mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+                content: btoa(String.fromCharCode(...bytes))
+            });
+
+            expect(await readBytes(window.URL.createObjectURL.mock.calls[0][0])).toEqual(bytes);
+            expect(clickedLinks[0].download).toBe('asset-hierarchy.xlsx');
+        });
+    });
+
+    describe('describeExport', () => {
+        it('reports the number of exported rows', () => {
+            expect(describeExport({ rowCount: 42, truncated: false })).toBe('Exported 42 rows');
+        });
+
+        it('explains that a truncated export left rows out', () => {
+            expect(describeExport({ rowCount: 50000, truncated: true })).toBe(
+                'Exported the first 50000 rows. Narrow the filters to export the rest.'
+            );
+        });
+    });
+});
@@ -0,0 +1,35 @@
+/**
+ * Downloads files built by the AssetExportService Apex class.
+ * The server sends the content Base64 encoded, so CSV and XLSX files download the same way.
+ */
+
+/**
+ * Saves an export file in the browser
+ * @param {{fileName: string, mimeType: string, content: string}} file - an AssetExportService.ExportFile
+ */
+export function downloadExportFile(file) {
+    const binary = atob(file.content);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+
+    const url = window.URL.createObjectURL(new Blob([bytes], { type: file.mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = file.fileName;
+    link.click();
+    window.URL.revokeObjectURL(url);
+}
+
+/**
+ * Toast message for a finished export, noting when rows were left out
+ * @param {{rowCount: number, truncated: boolean}} file - an AssetExportService.ExportFile
+ * @returns {string}
+ */
+export function describeExport(file) {
+    if (file.truncated) {
+        return `Exported the first ${file.rowCount} rows. Narrow the filters to export the rest.`;
+    }
+    return `Exported ${file.rowCount} rows`;
+}
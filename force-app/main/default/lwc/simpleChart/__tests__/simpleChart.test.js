@@ -0,0 +1,104 @@
+import { createElement } from '@lwc/engine-dom';
+import SimpleChart from 'c/simpleChart';
+
+// Three days of two series; the highest value is 40, so the scale runs 0-40 in steps of 10
+const TREND_DATA = {
+    labels: ['2026-09-01', '2026-09-02', '2026-09-03'],
+    datasets: [
+        { label: 'Live', data: [0, 20, 40] },
+        { label: 'Planned', data: [10, 10, 5], borderColor: '#000000' }
+    ]
+};
+
+function createChart(chartType, chartData) {
+    const element = createElement('c-simple-chart', { is: SimpleChart });
+    element.chartType = chartType;
+    element.chartData = chartData;
+    document.body.appendChild(element);
+    return element;
+}
+
+function dailyLabels(count) {
+    return Array.from({ length: count }, (_, index) => {
+        const date = new Date(2026, 0, index + 1);
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    });
+}
+
+describe('c-simple-chart', () => {
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+    });
+
+    describe('line and area charts', () => {
+        it('draws one line per series against an evenly rounded scale', () => {
+            const element = createChart('line', TREND_DATA);
+
+            const lines = element.shadowRoot.querySelectorAll('path.trend-line');
+            expect([...lines].map(line => line.getAttribute('d'))).toEqual([
+                'M 56 212 L 320 111 L 584 10',
+                'M 56 161.5 L 320 161.5 L 584 186.75'
+            ]);
+            expect(lines[1].getAttribute('stroke')).toBe('#000000');
+            expect(element.shadowRoot.querySelectorAll('path.trend-area')).toHaveLength(0);
+            expect(element.shadowRoot.querySelectorAll('circle')).toHaveLength(6);
+
+            const gridLabels = [...element.shadowRoot.querySelectorAll('text[text-anchor="end"]')]
+                .filter(text => text.getAttribute('dx') === '-6')
+                .map(text => text.textContent);
+            expect(gridLabels).toEqual(['0', '10', '20', '30', '40']);
+        });
+
+        it('fills the area under each series in area mode', () => {
+            const element = createChart('area', TREND_DATA);
+
+            const areas = element.shadowRoot.querySelectorAll('path.trend-area');
+            expect(areas).toHaveLength(2);
+            expect(areas[0].getAttribute('d')).toBe('M 56 212 L 320 111 L 584 10 L 584 212 L 56 212 Z');
+            expect(element.shadowRoot.querySelectorAll('path.trend-line')).toHaveLength(2);
+        });
+
+        it('labels the first, middle and last dates and shows each latest value in the legend', () => {
+            const element = createChart('line', { ...TREND_DATA, isCurrency: true });
+
+            const dateAnchors = [...element.shadowRoot.querySelectorAll('text')]
+                .filter(text => !text.getAttribute('dx'))
+                .map(text => [text.getAttribute('x'), text.getAttribute('text-anchor')]);
+            expect(dateAnchors).toEqual([['56', 'start'], ['320', 'middle'], ['584', 'end']]);
+
+            const legend = [...element.shadowRoot.querySelectorAll('.trend-legend .chart-legend-item')];
+            expect(legend.map(item => item.textContent)).toEqual(['Live: $40', 'Planned: $5']);
+        });
+
+        it('centers a single day and stops marking points on long periods', () => {
+            const single = createChart('line', { labels: ['2026-09-01'], datasets: [{ label: 'Live', data: [3] }] });
+            expect(single.shadowRoot.querySelector('path.trend-line').getAttribute('d')).toBe('M 320 60.5');
+            expect(single.shadowRoot.querySelector('text:not([dx])').getAttribute('text-anchor')).toBe('middle');
+
+            const labels = dailyLabels(90);
+            const long = createChart('line', { labels, datasets: [{ label: 'Live', data: labels.map(() => 1) }] });
+            expect(long.shadowRoot.querySelector('path.trend-line')).not.toBeNull();
+            expect(long.shadowRoot.querySelectorAll('circle')).toHaveLength(0);
+        });
+
+        it('explains when no snapshots have been recorded', () => {
+            const element = createChart('area', { labels: [], datasets: [] });
+
+            expect(element.shadowRoot.querySelector('svg')).toBeNull();
+            expect(element.shadowRoot.textContent).toBe('No snapshots recorded for this period yet.');
+        });
+
+        it('emits the series label when a series is clicked', () => {
+            const element = createChart('line', TREND_DATA);
+            const handler = jest.fn();
+            element.addEventListener('chartclick', handler);
+
+            element.shadowRoot.querySelectorAll('g.trend-series')[1].dispatchEvent(new CustomEvent('click'));
+
+            expect(handler).toHaveBeenCalledTimes(1);
+            expect(handler.mock.calls[0][0].detail).toEqual({ label: 'Planned', series: undefined });
+        });
+    });
+});
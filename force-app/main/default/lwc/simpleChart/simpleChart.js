@@ -1,5 +1,13 @@
 import { LightningElement, api } from 'lwc';
 
+// Drawing area of the line and area charts, in SVG units
+const TREND_WIDTH = 600;
+const TREND_HEIGHT = 240;
+const TREND_PADDING = { top: 10, right: 16, bottom: 28, left: 56 };
+const TREND_GRID_STEPS = 4;
+// Points are marked while the series are short enough to tell them apart
+const TREND_MAX_MARKED_POINTS = 31;
+
 export default class SimpleChart extends LightningElement {
     @api chartType = 'bar';
     @api chartData;
@@ -30,6 +38,110 @@ export default class SimpleChart extends LightningElement {
         return this.chartType === 'gauge';
     }
     
+    get isLine() {
+        return this.chartType === 'line';
+    }
+    
+    get isArea() {
+        return this.chartType === 'area';
+    }
+    
+    get isTrend() {
+        return this.isLine || this.isArea;
+    }
+    
+    get hasTrendData() {
+        return this.chartData?.labels?.length > 0 && this.chartData?.datasets?.length > 0;
+    }
+    
+    get trendViewBox() {
+        return `0 0 ${TREND_WIDTH} ${TREND_HEIGHT}`;
+    }
+    
+    /**
+     * Paths, gridlines and date labels for the line and area charts
+     * Expects chartData with labels (dates) and one dataset per series
+     */
+    get trendChart() {
+        if (!this.hasTrendData) {
+            return { series: [], gridLines: [], dateLabels: [] };
+        }
+        
+        const labels = this.chartData.labels;
+        const datasets = this.chartData.datasets;
+        const plotWidth = TREND_WIDTH - TREND_PADDING.left - TREND_PADDING.right;
+        const plotHeight = TREND_HEIGHT - TREND_PADDING.top - TREND_PADDING.bottom;
+        const baseline = TREND_PADDING.top + plotHeight;
+        
+        // Round the top of the scale up so gridlines fall on even values
+        const maxValue = Math.max(0, ...datasets.flatMap((dataset) => dataset.data));
+        const rawStep = maxValue > 0 ? maxValue / TREND_GRID_STEPS : 1;
+        const magnitude = 10 ** Math.floor(Math.log10(rawStep));
+        const step = Math.max(1, [1, 2, 5, 10].map((multiple) => multiple * magnitude).find((value) => value >= rawStep));
+        const scaleMax = step * TREND_GRID_STEPS;
+        
+        const xAt = (index) => TREND_PADDING.left + (labels.length > 1 ? (index / (labels.length - 1)) * plotWidth : plotWidth / 2);
+        const yAt = (value) => baseline - ((value || 0) / scaleMax) * plotHeight;
+        
+        const series = datasets.map((dataset, datasetIndex) => {
+            const color = dataset.borderColor || this.colors[datasetIndex % this.colors.length];
+            const points = labels.map((label, index) => ({
+                key: `${dataset.label}-${label}`,
+                x: xAt(index),
+                y: yAt(dataset.data[index])
+            }));
+            const linePath = 'M ' + points.map((point) => `${point.x} ${point.y}`).join(' L ');
+            const latestValue = dataset.data[dataset.data.length - 1] || 0;
+            
+            return {
+                label: dataset.label,
+                color: color,
+                linePath: linePath,
+                areaPath: `${linePath} L ${points[points.length - 1].x} ${baseline} L ${points[0].x} ${baseline} Z`,
+                points: labels.length <= TREND_MAX_MARKED_POINTS ? points : [],
+                displayValue: this.formatTrendValue(latestValue),
+                colorStyle: `background-color: ${color}; width: 20px; height: 20px; display: inline-block; border-radius: 3px;`
+            };
+        });
+        
+        const gridLines = [];
+        for (let i = 0; i <= TREND_GRID_STEPS; i++) {
+            const value = step * i;
+            gridLines.push({
+                key: `grid-${i}`,
+                y: yAt(value),
+                labelY: yAt(value) + 4,
+                label: this.formatTrendValue(value)
+            });
+        }
+        
+        // First, middle and last date
+        const dateIndexes = [...new Set([0, Math.floor((labels.length - 1) / 2), labels.length - 1])];
+        const dateLabels = dateIndexes.map((index) => {
+            let anchor = 'middle';
+            if (labels.length > 1 && index === 0) {
+                anchor = 'start';
+            } else if (labels.length > 1 && index === labels.length - 1) {
+                anchor = 'end';
+            }
+            return {
+                key: labels[index],
+                x: xAt(index),
+                anchor: anchor,
+                label: this.formatDateLabel(labels[index])
+            };
+        });
+        
+        return {
+            series: series,
+            gridLines: gridLines,
+            dateLabels: dateLabels,
+            left: TREND_PADDING.left,
+            right: TREND_WIDTH - TREND_PADDING.right,
+            dateLabelY: TREND_HEIGHT - 8
+        };
+    }
+    
     get gaugeValue() {
         return this.chartData?.value || 0;
     }
@@ -184,10 +296,27 @@ export default class SimpleChart extends LightningElement {
         return value.toString();
     }
     
+    formatTrendValue(value) {
+        if (this.chartData?.isCurrency) {
+            return value >= 1000 ? this.formatValue(value) : '$' + Math.round(value);
+        }
+        return Math.round(value).toLocaleString();
+    }
+    
+    formatDateLabel(isoDate) {
+        // Dates arrive as YYYY-MM-DD; read them as local dates so the day does not shift
+        const [year, month, day] = isoDate.split('-').map(Number);
+        return new Date(year, month - 1, day).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+    }
+    
+    /**
+     * Emits the selected label; segments of stacked bars also name their series
+     */
     handleChartClick(event) {
         const label = event.currentTarget.dataset.label;
+        const series = event.currentTarget.dataset.series;
         const clickEvent = new CustomEvent('chartclick', {
-            detail: { label: label },
+            detail: { label: label, series: series },
             bubbles: true,
             composed: true
         });
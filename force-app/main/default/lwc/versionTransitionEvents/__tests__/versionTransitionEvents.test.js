@@ -0,0 +1,53 @@
+import { subscribe, unsubscribe, onError } from 'lightning/empApi';
+import { subscribeToVersionTransitions, unsubscribeFromVersionTransitions } from 'c/versionTransitionEvents';
+
+describe('c/versionTransitionEvents', () => {
+    // The module registers its empApi error handler once, on the first subscription
+    let streamErrorHandler;
+
+    beforeEach(() => {
+        subscribe.mockImplementation((channel, replayId, onMessage) => Promise.resolve({ channel, onMessage }));
+        onError.mockImplementation(handler => {
+            streamErrorHandler = handler;
+        });
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('passes transition payloads to the callback', async () => {
+        const callback = jest.fn();
+        const subscription = await subscribeToVersionTransitions(callback);
+
+        subscription.onMessage({
+            data: { payload: { New_Version__c: 'a02', Old_Version__c: 'a01', Direction__c: 'Forward' } }
+        });
+
+        expect(subscription.channel).toBe('/event/Version_Transitioned__e');
+        expect(callback).toHaveBeenCalledWith({ newVersionId: 'a02', oldVersionId: 'a01', direction: 'Forward' });
+        unsubscribeFromVersionTransitions(subscription);
+    });
+
+    it('reports streaming errors to subscribers until they unsubscribe', async () => {
+        const onFailure = jest.fn();
+        const subscription = await subscribeToVersionTransitions(jest.fn(), onFailure);
+
+        streamErrorHandler({ error: '403::Unknown client' });
+
+        expect(onFailure).toHaveBeenCalledTimes(1);
+        expect(onFailure.mock.calls[0][0].message).toContain('Live version updates stopped');
+
+        unsubscribeFromVersionTransitions(subscription);
+        streamErrorHandler({ error: '403::Unknown client' });
+
+        expect(unsubscribe).toHaveBeenCalledWith(subscription);
+        expect(onFailure).toHaveBeenCalledTimes(1);
+    });
+
+    it('rejects when the subscription cannot be made', async () => {
+        subscribe.mockRejectedValue(new Error('Streaming API is not enabled'));
+
+        await expect(subscribeToVersionTransitions(jest.fn(), jest.fn())).rejects.toThrow('Streaming API is not enabled');
+    });
+});
@@ -0,0 +1,54 @@
+/**
+ * empApi subscription to Version_Transitioned__e, shared by components that refresh
+ * when an asset version is activated or rolled back anywhere in the org.
+ */
+import { subscribe, unsubscribe, onError } from 'lightning/empApi';
+
+const TRANSITION_CHANNEL = '/event/Version_Transitioned__e';
+
+let errorHandlerRegistered = false;
+
+// Error callbacks by subscription; empApi reports streaming errors once for the whole page
+const errorCallbacks = new Map();
+
+/**
+ * Subscribes to new version transitions
+ * @param {function({newVersionId: string, oldVersionId: string, direction: string}): void} callback
+ * @param {function(Error): void} [errorCallback] called when the streaming connection fails
+ *     and no more transitions will be delivered
+ * @returns {Promise<object>} the subscription, to pass to unsubscribeFromVersionTransitions;
+ *     rejects when the subscription cannot be made
+ */
+export function subscribeToVersionTransitions(callback, errorCallback) {
+    if (!errorHandlerRegistered) {
+        errorHandlerRegistered = true;
+        onError(() => {
+            const error = new Error('Live version updates stopped. Reload the page to see new transitions.');
+            errorCallbacks.forEach(notify => notify(error));
+        });
+    }
+    return subscribe(TRANSITION_CHANNEL, -1, response => {
+        const payload = response.data.payload;
+        callback({
+            newVersionId: payload.New_Version__c,
+            oldVersionId: payload.Old_Version__c,
+            direction: payload.Direction__c
+        });
+    }).then(subscription => {
+        if (errorCallback) {
+            errorCallbacks.set(subscription, errorCallback);
+        }
+        return subscription;
+    });
+}
+
+/**
+ * Ends a subscription returned by subscribeToVersionTransitions
+ * @param {object} subscription
+ */
+export function unsubscribeFromVersionTransitions(subscription) {
+    if (subscription) {
+        errorCallbacks.delete(subscription);
+        unsubscribe(subscription);
+    }
+}
@@ -0,0 +1,79 @@
+import { parseVersion, compareVersions, isSameScheme, validateNextVersion } from 'c/versionUtil';
+
+describe('c/versionUtil', () => {
+    describe('parseVersion', () => {
+        it('splits prefix, number parts and pre-release identifiers', () => {
+            expect(parseVersion('V2.1')).toEqual({ prefix: 'V', parts: [2, 1], preRelease: [] });
+            expect(parseVersion(' 1.4.0-beta.2+build.5 ')).toEqual({ prefix: '', parts: [1, 4, 0], preRelease: ['beta', '2'] });
+        });
+
+        it('rejects versions that do not follow a supported scheme', () => {
+            ['', null, undefined, 'latest', '1..2', '1.2.3.4.5', 'V1.2-', '1.0+'].forEach(version => {
+                expect(parseVersion(version)).toBeNull();
+            });
+        });
+    });
+
+    describe('compareVersions', () => {
+        it('compares number parts numerically rather than as text', () => {
+            expect(compareVersions('10.0', '9.0')).toBeGreaterThan(0);
+            expect(compareVersions('V2.10', 'V2.9')).toBeGreaterThan(0);
+            expect(compareVersions('1.2.3', '1.2.4')).toBeLessThan(0);
+        });
+
+        it('treats missing number parts as 0', () => {
+            expect(compareVersions('V2', 'V2.0')).toBe(0);
+            expect(compareVersions('2.0.1', '2')).toBeGreaterThan(0);
+        });
+
+        it('sorts pre-releases before their release and by semver precedence', () => {
+            const ordered = ['1.0.0-alpha', '1.0.0-alpha.1', '1.0.0-alpha.beta', '1.0.0-beta', '1.0.0-beta.2', '1.0.0-beta.11', '1.0.0-rc.1', '1.0.0'];
+            for (let i = 1; i < ordered.length; i++) {
+                expect(compareVersions(ordered[i - 1], ordered[i])).toBeLessThan(0);
+                expect(compareVersions(ordered[i], ordered[i - 1])).toBeGreaterThan(0);
+            }
+        });
+
+        it('ignores build metadata', () => {
+            expect(compareVersions('1.0.0+build.1', '1.0.0+build.2')).toBe(0);
+        });
+    });
+
+    describe('isSameScheme', () => {
+        it('matches prefixes ignoring case', () => {
+            expect(isSameScheme('V1.0', 'v2.3')).toBe(true);
+            expect(isSameScheme('1.0', '2.0.1-rc.1')).toBe(true);
+        });
+
+        it('rejects a different prefix or an invalid version', () => {
+            expect(isSameScheme('V1.0', '2.0')).toBe(false);
+            expect(isSameScheme('V1.0', 'latest')).toBe(false);
+        });
+    });
+
+    describe('validateNextVersion', () => {
+        it('accepts a higher version in the same scheme', () => {
+            expect(validateNextVersion('V2.1', 'V2.0', 'V2.0')).toBe('');
+            expect(validateNextVersion('10.0', '9.0', '9.0')).toBe('');
+        });
+
+        it('requires a valid version', () => {
+            expect(validateNextVersion('next', 'V1.0', 'V1.0')).toBe('Use a version such as V1.2, 2.0.1 or 1.4.0-beta.1.');
+        });
+
+        it('requires the scheme of the current version', () => {
+            expect(validateNextVersion('2.0', 'V1.0', 'V1.0')).toBe('Use the same scheme as the current version (V1.0).');
+        });
+
+        it('requires the version to exceed the current or latest version of the chain', () => {
+            expect(validateNextVersion('V1.0', 'V1.0', 'V1.0')).toBe('Must be greater than the current version (V1.0).');
+            expect(validateNextVersion('V2.0', 'V1.0', 'V3.0')).toBe(
+                'Must be greater than the latest version in this chain (V3.0).'
+            );
+        });
+
+        it('skips the checks that have no valid version to compare with', () => {
+            expect(validateNextVersion('2.0', 'legacy', null)).toBe('');
+        });
+    });
+});
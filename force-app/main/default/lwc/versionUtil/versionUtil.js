@@ -0,0 +1,107 @@
+/**
+ * Version parsing and comparison for forms, mirroring the VersionUtil Apex class.
+ * Accepts dotted numeric versions (2.1), semver (1.4.0-beta.2+build.5) and either
+ * behind a letter prefix (V2.1). Missing number parts count as 0, so V2 equals V2.0,
+ * and a pre-release sorts before its release.
+ */
+const VERSION_PATTERN =
+    /^([A-Za-z]*)(\d{1,9}(?:\.\d{1,9}){0,3})(?:-([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?(?:\+[0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*)?$/;
+
+const NUMERIC = /^\d+$/;
+
+/**
+ * Parses a version string
+ * @param {string} version - e.g. 'V2.1' or '1.4.0-beta.2'
+ * @returns {{prefix: string, parts: number[], preRelease: string[]}|null} null if the version is not valid
+ */
+export function parseVersion(version) {
+    const match = VERSION_PATTERN.exec((version || '').trim());
+    if (!match) {
+        return null;
+    }
+    return {
+        prefix: match[1],
+        parts: match[2].split('.').map(Number),
+        preRelease: match[3] ? match[3].split('.') : []
+    };
+}
+
+function compareNumbers(a, b) {
+    if (a === b) {
+        return 0;
+    }
+    return a < b ? -1 : 1;
+}
+
+function comparePreRelease(a, b) {
+    if (a.length === 0 || b.length === 0) {
+        return compareNumbers(b.length, a.length);
+    }
+
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        const aNumeric = NUMERIC.test(a[i]);
+        const bNumeric = NUMERIC.test(b[i]);
+        let result;
+        if (aNumeric && bNumeric) {
+            result = compareNumbers(Number(a[i]), Number(b[i]));
+        } else if (aNumeric || bNumeric) {
+            result = aNumeric ? -1 : 1;
+        } else {
+            result = compareNumbers(a[i], b[i]);
+        }
+
+        if (result !== 0) {
+            return result;
+        }
+    }
+    return compareNumbers(a.length, b.length);
+}
+
+/**
+ * Compares two valid versions
+ * @returns {number} negative if a is lower than b, 0 if equal, positive if greater
+ */
+export function compareVersions(a, b) {
+    const first = parseVersion(a);
+    const second = parseVersion(b);
+
+    for (let i = 0; i < Math.max(first.parts.length, second.parts.length); i++) {
+        const result = compareNumbers(first.parts[i] || 0, second.parts[i] || 0);
+        if (result !== 0) {
+            return result;
+        }
+    }
+    return comparePreRelease(first.preRelease, second.preRelease);
+}
+
+/**
+ * Determines if two versions parse and share a prefix, ignoring case
+ */
+export function isSameScheme(a, b) {
+    const first = parseVersion(a);
+    const second = parseVersion(b);
+    return Boolean(first && second) && first.prefix.toLowerCase() === second.prefix.toLowerCase();
+}
+
+/**
+ * Checks a proposed version against the asset's current version and the latest version in its chain,
+ * with the same rules as AssetVersionController.createPlannedVersion
+ * @param {string} newVersion - proposed version
+ * @param {string} currentVersion - version of the asset the new version is created from
+ * @param {string} latestVersion - highest version in the chain, if any
+ * @returns {string} error message, or an empty string if the version is acceptable
+ */
+export function validateNextVersion(newVersion, currentVersion, latestVersion) {
+    if (!parseVersion(newVersion)) {
+        return 'Use a version such as V1.2, 2.0.1 or 1.4.0-beta.1.';
+    }
+    if (parseVersion(currentVersion) && !isSameScheme(currentVersion, newVersion)) {
+        return `Use the same scheme as the current version (${currentVersion}).`;
+    }
+    if (parseVersion(latestVersion) && compareVersions(newVersion, latestVersion) <= 0) {
+        return latestVersion === currentVersion
+            ? `Must be greater than the current version (${latestVersion}).`
+            : `Must be greater than the latest version in this chain (${latestVersion}).`;
+    }
+    return '';
+}